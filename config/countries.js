@@ -0,0 +1,52 @@
+// ISO 3166-1 alpha-2 codes we ship to, with the postal code format of each country.
+// A null zip pattern means the country has no postal codes; any value is accepted.
+const COUNTRIES = {
+  AE: { name: 'United Arab Emirates', zip: null },
+  AT: { name: 'Austria', zip: /^\d{4}$/ },
+  AU: { name: 'Australia', zip: /^\d{4}$/ },
+  AZ: { name: 'Azerbaijan', zip: /^(AZ)?\s?\d{4}$/i },
+  BE: { name: 'Belgium', zip: /^\d{4}$/ },
+  BY: { name: 'Belarus', zip: /^\d{6}$/ },
+  CA: { name: 'Canada', zip: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i },
+  CH: { name: 'Switzerland', zip: /^\d{4}$/ },
+  CN: { name: 'China', zip: /^\d{6}$/ },
+  CZ: { name: 'Czechia', zip: /^\d{3} ?\d{2}$/ },
+  DE: { name: 'Germany', zip: /^\d{5}$/ },
+  DK: { name: 'Denmark', zip: /^\d{4}$/ },
+  ES: { name: 'Spain', zip: /^\d{5}$/ },
+  FI: { name: 'Finland', zip: /^\d{5}$/ },
+  FR: { name: 'France', zip: /^\d{5}$/ },
+  GB: { name: 'United Kingdom', zip: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i },
+  GE: { name: 'Georgia', zip: /^\d{4}$/ },
+  IE: { name: 'Ireland', zip: /^[A-Z\d]{3} ?[A-Z\d]{4}$/i },
+  IN: { name: 'India', zip: /^\d{6}$/ },
+  IT: { name: 'Italy', zip: /^\d{5}$/ },
+  JP: { name: 'Japan', zip: /^\d{3}-?\d{4}$/ },
+  KG: { name: 'Kyrgyzstan', zip: /^\d{6}$/ },
+  KR: { name: 'South Korea', zip: /^\d{5}$/ },
+  KZ: { name: 'Kazakhstan', zip: /^([A-Z]\d{2}[A-Z]\d[A-Z]\d|\d{6})$/i },
+  NL: { name: 'Netherlands', zip: /^\d{4} ?[A-Z]{2}$/i },
+  NO: { name: 'Norway', zip: /^\d{4}$/ },
+  PL: { name: 'Poland', zip: /^\d{2}-\d{3}$/ },
+  PT: { name: 'Portugal', zip: /^\d{4}-\d{3}$/ },
+  RU: { name: 'Russia', zip: /^\d{6}$/ },
+  SE: { name: 'Sweden', zip: /^\d{3} ?\d{2}$/ },
+  TJ: { name: 'Tajikistan', zip: /^\d{6}$/ },
+  TM: { name: 'Turkmenistan', zip: /^\d{6}$/ },
+  TR: { name: 'Turkey', zip: /^\d{5}$/ },
+  UA: { name: 'Ukraine', zip: /^\d{5}$/ },
+  US: { name: 'United States', zip: /^\d{5}(-\d{4})?$/ },
+  UZ: { name: 'Uzbekistan', zip: /^\d{6}$/ }
+};
+
+const normalizeCountry = (value) => String(value || '').trim().toUpperCase();
+
+const isKnownCountry = (code) => Object.prototype.hasOwnProperty.call(COUNTRIES, normalizeCountry(code));
+
+const isValidZip = (code, zipCode) => {
+  const country = COUNTRIES[normalizeCountry(code)];
+  if (!country) return false;
+  return !country.zip || country.zip.test(String(zipCode || '').trim());
+};
+
+module.exports = { COUNTRIES, normalizeCountry, isKnownCountry, isValidZip };
@@ -0,0 +1,24 @@
+// Every permission a Role can grant. "*" grants all of them.
+const PERMISSIONS = [
+  'products:read',
+  'products:write',
+  'products:delete',
+  'orders:read',
+  'orders:transition',
+  'orders:assign',
+  'payments:manage',
+  'shipping:manage',
+  'coupons:manage',
+  'taxes:manage',
+  'reviews:moderate',
+  'users:read',
+  'users:manage',
+  'roles:manage'
+];
+
+const ALL_PERMISSIONS = '*';
+
+// Role given to existing admin accounts by the migration
+const SUPER_ADMIN_ROLE = 'super-admin';
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, SUPER_ADMIN_ROLE };
@@ -0,0 +1,36 @@
+// Used only while no active ShippingRule exists, so a fresh install can still take orders
+const DEFAULT_SHIPPING_RULES = [
+  {
+    name: 'Standard delivery',
+    deliveryType: 'standard',
+    countries: [],
+    zipPrefixes: [],
+    baseRate: 5,
+    perKgRate: 0.5,
+    freeShippingThreshold: 100,
+    estimatedDays: { min: 3, max: 7 },
+    priority: 0
+  },
+  {
+    name: 'Express delivery',
+    deliveryType: 'express',
+    countries: [],
+    zipPrefixes: [],
+    baseRate: 15,
+    perKgRate: 1,
+    estimatedDays: { min: 1, max: 3 },
+    priority: 0
+  },
+  {
+    name: 'Overnight delivery',
+    deliveryType: 'overnight',
+    countries: [],
+    zipPrefixes: [],
+    baseRate: 30,
+    perKgRate: 2,
+    estimatedDays: { min: 1, max: 1 },
+    priority: 0
+  }
+];
+
+module.exports = { DEFAULT_SHIPPING_RULES };
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { verifyChallengeToken } = require('../utils/jwt');
 
 const auth = async (req, res, next) => {
   try {
@@ -12,12 +15,33 @@ const auth = async (req, res, next) => {
     const token = header.split(' ')[1];
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Challenge tokens are signed with the same secret but only unlock the 2FA endpoints
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user) {
       return res.status(401).json({ message: 'User not found or deleted' });
     }
 
+    if (user.status !== 'active') {
+      return res.status(403).json({ message: 'Account is not active', code: 'ACCOUNT_INACTIVE' });
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed, please log in again' });
+    }
+
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isActive) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+      req.sessionId = session._id;
+    }
+
     req.user = user;
     next();
 
@@ -29,7 +53,17 @@ const auth = async (req, res, next) => {
   }
 };
 
-const adminAuth = (req, res, next) => {
+// Authenticates when a bearer token is sent and lets anonymous requests through untouched
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return auth(req, res, next);
+};
+
+// Requires an admin account whose Role grants every listed permission
+const requirePermission = (...permissions) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({ message: "Unauthorized" });
@@ -39,10 +73,73 @@ const adminAuth = (req, res, next) => {
       return res.status(403).json({ message: "Admin access required" });
     }
 
+    if (!req.adminRole) {
+      req.adminRole = req.user.adminRole ? await Role.findById(req.user.adminRole) : null;
+    }
+
+    if (!req.adminRole) {
+      return res.status(403).json({ message: "No admin role assigned to this account" });
+    }
+
+    const missing = permissions.filter(permission => !req.adminRole.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ message: "Insufficient permissions", missing });
+    }
+
+    next();
+  } catch (error) {
+    // A failed role lookup is an outage, not a permission denial
+    return res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+const courierAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  if (req.user.role !== "courier") {
+    return res.status(403).json({ message: "Courier access required" });
+  }
+
+  next();
+};
+
+// Accepts either a regular access token or a 2FA setup challenge token sent in the body,
+// so users who are required to use 2FA can enroll before they are allowed to log in
+const setupAuth = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+
+  if (!challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const result = await verifyChallengeToken(challengeToken, '2fa-setup');
+
+    if (!result.success) {
+      return res.status(401).json({ message: result.error, code: result.code });
+    }
+
+    const user = await User.findById(result.data.userId).select('-password');
+
+    if (!user) {
+      return res.status(401).json({ message: 'User not found or deleted' });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({ message: 'Account is not active', code: 'ACCOUNT_INACTIVE' });
+    }
+
+    req.user = user;
+    req.viaChallenge = true;
     next();
   } catch (error) {
-    return res.status(403).json({ message: "Admin access required" });
+    return res.status(401).json({
+      message: 'Invalid or expired token',
+      error: error.message
+    });
   }
 };
 
-module.exports = { auth, adminAuth };
+module.exports = { auth, optionalAuth, requirePermission, courierAuth, setupAuth };
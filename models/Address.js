@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { COUNTRIES, normalizeCountry, isKnownCountry, isValidZip } = require('../config/countries');
 
 const addressSchema = new mongoose.Schema({
   user: {
@@ -8,27 +9,65 @@ const addressSchema = new mongoose.Schema({
   },
   street: {
     type: String,
-    required: true
+    required: true,
+    trim: true
   },
   city: {
     type: String,
-    required: true
+    required: true,
+    trim: true
+  },
+  // State or province, used for regional tax rates
+  region: {
+    type: String,
+    trim: true
   },
+  // Not required in countries without postal codes
   zipCode: {
     type: String,
-    required: true
+    trim: true,
+    required: function() {
+      const country = COUNTRIES[normalizeCountry(this.country)];
+      return !country || Boolean(country.zip);
+    },
+    validate: {
+      validator: function(value) {
+        return !isKnownCountry(this.country) || isValidZip(this.country, value);
+      },
+      message: 'Invalid postal code for this country'
+    }
   },
+  // ISO 3166-1 alpha-2 code, see config/countries.js
   country: {
     type: String,
-    required: true
+    required: true,
+    set: normalizeCountry,
+    validate: {
+      validator: isKnownCountry,
+      message: 'Unknown country code'
+    }
   },
   isDefault: {
     type: Boolean,
     default: false
+  },
+  // Orders keep referencing deleted addresses, so they are only hidden from the address book
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Address', addressSchema);
+addressSchema.index({ user: 1, isDeleted: 1 });
+// At most one default address per user, enforced by MongoDB rather than by the routes
+addressSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true }, name: 'one_default_per_user' }
+);
 
+module.exports = mongoose.model('Address', addressSchema);
@@ -1,10 +1,24 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { parseDuration } = require('../utils/duration');
 
+const GUEST_CART_TTL = parseDuration(process.env.GUEST_CART_TTL, 30 * 24 * 60 * 60 * 1000, 'GUEST_CART_TTL');
+
+// A cart belongs either to a user or to a guest holding the cart token.
+// Only the token hash is stored, so a leaked database cannot be used to read guest carts.
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    index: true
+  },
+  guestTokenHash: {
+    type: String,
+    select: false
+  },
+  // Set for guest carts only; pushed forward on every change
+  expiresAt: {
+    type: Date
   },
   items: [{
     product: {
@@ -12,14 +26,76 @@ const cartSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Subdocument id in Product.variants; unset for products without variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     quantity: {
       type: Number,
-      default: 1
+      default: 1,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Quantity must be a whole number'
+      }
+    },
+    // Unit price when the item was first added, so price changes can be flagged before checkout
+    priceAtAdd: {
+      type: Number
     }
-  }]
+  }],
+  // Applied coupon code, re-validated every time the cart is priced
+  coupon: {
+    type: String
+  }
 }, {
   timestamps: true
 });
 
+cartSchema.index({ guestTokenHash: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestTokenHash) {
+    this.invalidate('user', 'A cart needs either a user or a guest token');
+  }
+  next();
+});
+
+cartSchema.pre('save', function(next) {
+  if (this.user) {
+    this.expiresAt = undefined;
+  } else {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL);
+  }
+  next();
+});
+
+cartSchema.statics.hashGuestToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Start a new guest cart; the plain token is only ever returned here
+ * @returns {{ cart: Cart, token: string }}
+ */
+cartSchema.statics.createGuest = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const cart = new this({ guestTokenHash: this.hashGuestToken(token), items: [] });
+  return { cart, token };
+};
+
+cartSchema.statics.findByGuestToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ guestTokenHash: this.hashGuestToken(token), user: { $exists: false } });
+};
+
+cartSchema.methods.toJSON = function() {
+  const cart = this.toObject();
+  delete cart.guestTokenHash;
+  delete cart.__v;
+  return cart;
+};
+
 module.exports = mongoose.model('Cart', cartSchema);
 
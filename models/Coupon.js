@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'],
+    required: true
+  },
+  // Percent off for "percentage", amount off for "fixed"
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // For "buy_x_get_y": every buyQuantity + getQuantity eligible units, the cheapest getQuantity are free
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Empty scopes mean the coupon applies to the whole cart
+  categories: {
+    type: [String],
+    default: []
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'buyQuantity and getQuantity are required for buy_x_get_y coupons');
+  }
+  if (this.startsAt && this.endsAt && this.startsAt > this.endsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
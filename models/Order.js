@@ -12,6 +12,23 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Subdocument id in Product.variants; unset for products without variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
+    // Product details as they were at purchase, so later edits or deletions do not change the order
+    name: {
+      type: String
+    },
+    image: {
+      type: String
+    },
+    category: {
+      type: String
+    },
     quantity: {
       type: Number,
       required: true
@@ -21,6 +38,53 @@ const orderSchema = new mongoose.Schema({
       required: true
     }
   }],
+  subtotal: {
+    type: Number
+  },
+  shippingCost: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    code: {
+      type: String
+    },
+    type: {
+      type: String
+    },
+    discount: {
+      type: Number
+    },
+    shippingDiscount: {
+      type: Number
+    }
+  },
+  // Copied from the TaxRate documents at checkout so later rate changes do not alter the order
+  taxLines: [{
+    taxRate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRate'
+    },
+    name: String,
+    rate: Number,
+    mode: {
+      type: String,
+      enum: ['inclusive', 'exclusive']
+    },
+    country: String,
+    region: String,
+    category: String,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: true
@@ -35,14 +99,137 @@ const orderSchema = new mongoose.Schema({
     ref: 'Address',
     required: true
   },
+  // Copy of the address at checkout; the referenced Address may be edited or deleted later
+  shippingAddress: {
+    street: String,
+    city: String,
+    region: String,
+    zipCode: String,
+    country: String
+  },
   status: {
     type: String,
     enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
-  }
+  },
+  // Handover QR: the code carries a signed token built from the order id and this nonce
+  qr: {
+    nonce: {
+      type: String,
+      select: false
+    },
+    redeemedAt: {
+      type: Date
+    },
+    redeemedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  paymentStatus: {
+    type: String,
+    // capturing: an admin capture of an authorized payment is in flight
+    // refund_pending: the order was cancelled after money was taken and still owes a refund
+    enum: [
+      'unpaid', 'requires_payment', 'authorized', 'capturing', 'paid', 'failed',
+      'partially_refunded', 'refund_pending', 'refunded'
+    ],
+    default: 'unpaid'
+  },
+  paymentProvider: {
+    type: String
+  },
+  paymentIntentId: {
+    type: String,
+    index: true
+  },
+  // Kept so a customer retrying /pay gets the open intent back instead of a new one
+  paymentClientSecret: {
+    type: String,
+    select: false
+  },
+  paymentCurrency: {
+    type: String
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  transactions: [{
+    type: {
+      type: String,
+      enum: ['intent', 'authorization', 'capture', 'refund', 'failure'],
+      required: true
+    },
+    provider: String,
+    // Provider side id of the intent, charge or refund
+    reference: String,
+    // Webhook event id, used to ignore redelivered events
+    eventId: String,
+    amount: Number,
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  courier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  assignedAt: {
+    type: Date
+  },
+  trackingEvents: [{
+    type: {
+      type: String,
+      enum: ['picked_up', 'in_transit', 'failed_attempt', 'delivered'],
+      required: true
+    },
+    location: {
+      lat: Number,
+      lng: Number,
+      description: String
+    },
+    note: {
+      type: String
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  statusHistory: [{
+    from: {
+      type: String
+    },
+    status: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Order', orderSchema);
 
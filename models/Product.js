@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Option attributes such as { size: 'M', color: 'Red' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Falls back to the product price when not set
+  price: {
+    type: Number,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  image: {
+    type: String
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -16,16 +43,83 @@ const productSchema = new mongoose.Schema({
   image: {
     type: String
   },
+  sku: {
+    type: String,
+    trim: true
+  },
   category: {
     type: String
   },
   stock: {
     type: Number,
     default: 0
+  },
+  // Shipping weight in kg
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  variants: [variantSchema],
+  isArchived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  archivedAt: {
+    type: Date
+  },
+  // Denormalized from visible reviews by utils/reviews.refreshProductRating
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
+productSchema.index(
+  { name: 'text', description: 'text', category: 'text' },
+  { weights: { name: 10, category: 5, description: 1 }, name: 'product_text' }
+);
+productSchema.index({ name: 1 });
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// For products with variants, stock is the total across variants
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
+/**
+ * Resolve what a cart or order line for this product would buy
+ * @param {string} [variantId] - Variant subdocument id, required when the product has variants
+ * @returns {{ variant: Object|null, sku: string, price: number, stock: number }|null}
+ *   null when the product has variants and the id does not match one
+ */
+productSchema.methods.resolveVariant = function(variantId) {
+  if (this.variants.length === 0) {
+    return { variant: null, sku: this.sku, price: this.price, stock: this.stock };
+  }
+
+  const variant = variantId ? this.variants.id(variantId) : null;
+  if (!variant) return null;
+
+  return {
+    variant,
+    sku: variant.sku,
+    price: variant.price !== undefined && variant.price !== null ? variant.price : this.price,
+    stock: variant.stock
+  };
+};
+
 module.exports = mongoose.model('Product', productSchema);
 
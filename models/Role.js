@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: values => values.every(value => value === ALL_PERMISSIONS || PERMISSIONS.includes(value)),
+      message: 'Unknown permission'
+    }
+  },
+  // System roles are created by migrations and cannot be edited or deleted through the API
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.methods.hasPermission = function(permission) {
+  return this.permissions.includes(ALL_PERMISSIONS) || this.permissions.includes(permission);
+};
+
+module.exports = mongoose.model('Role', roleSchema);
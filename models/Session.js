@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One session per logged-in device. The session is the refresh token family:
+// every rotation replaces tokenHash, and presenting any older token revokes it.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_change', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  return this.updateMany(
+    {
+      user: userId,
+      revokedAt: { $exists: false },
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.tokenHash;
+  delete session.__v;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
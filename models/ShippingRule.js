@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const shippingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  deliveryType: {
+    type: String,
+    enum: ['standard', 'express', 'overnight'],
+    required: true
+  },
+  // ISO country codes; empty means every destination
+  countries: {
+    type: [String],
+    default: [],
+    set: values => values.map(value => String(value).trim().toUpperCase())
+  },
+  // Zip/postal code prefixes; empty means the whole country
+  zipPrefixes: {
+    type: [String],
+    default: []
+  },
+  baseRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perKgRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minWeight: {
+    type: Number,
+    min: 0
+  },
+  maxWeight: {
+    type: Number,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    min: 0
+  },
+  maxOrderValue: {
+    type: Number,
+    min: 0
+  },
+  // Orders with a subtotal at or above this ship for free
+  freeShippingThreshold: {
+    type: Number,
+    min: 0
+  },
+  estimatedDays: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 0 }
+  },
+  // Higher priority rules win when several match the same delivery type
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingRuleSchema.index({ deliveryType: 1, isActive: 1 });
+
+module.exports = mongoose.model('ShippingRule', shippingRuleSchema);
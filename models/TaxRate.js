@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // ISO country code
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Optional state/province; unset means the whole country
+  region: {
+    type: String,
+    trim: true
+  },
+  // Optional product category; unset means every category
+  category: {
+    type: String,
+    trim: true
+  },
+  // Percentage, e.g. 12 for 12%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // "inclusive" rates are already part of the price, "exclusive" ones are added on top
+  mode: {
+    type: String,
+    enum: ['inclusive', 'exclusive'],
+    default: 'exclusive'
+  },
+  appliesToShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ country: 1, isActive: 1 });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
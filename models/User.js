@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { parseDuration } = require('../utils/duration');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+const LOCK_TIME = parseDuration(process.env.LOCK_TIME, 2 * 60 * 60 * 1000, 'LOCK_TIME');
+const PASSWORD_RESET_EXPIRES = parseDuration(process.env.PASSWORD_RESET_EXPIRES, 60 * 60 * 1000, 'PASSWORD_RESET_EXPIRES');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,11 +32,16 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['client', 'admin'],
-      message: 'Role must be either client or admin'
+      values: ['client', 'admin', 'courier'],
+      message: 'Role must be client, admin or courier'
     },
     default: 'client'
   },
+  // Permission set for admin accounts, see models/Role.js
+  adminRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  },
   status: {
     type: String,
     enum: ['active', 'inactive', 'suspended'],
@@ -39,9 +50,48 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
-  refreshToken: {
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
     type: String,
     select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorRequired: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorTempSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // TOTP time step of the last accepted code; codes from this step or earlier are replays
+  twoFactorLastStep: {
+    type: Number,
+    select: false
   }
 }, {
   timestamps: true
@@ -55,6 +105,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Backdate by a second so tokens issued right after the change stay valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -70,12 +125,71 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Check whether the password was changed after a token with the given iat was issued
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Create a single-use reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES);
+
+  return resetToken;
+};
+
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Record a failed login and lock the account once MAX_LOGIN_ATTEMPTS is reached
+userSchema.methods.incLoginAttempts = async function() {
+  const Model = this.constructor;
+
+  // A previous lock has expired, start counting again
+  const update = this.lockUntil && this.lockUntil <= Date.now()
+    ? { $set: { loginAttempts: 1 }, $unset: { lockUntil: 1 } }
+    : { $inc: { loginAttempts: 1 } };
+
+  const updated = await Model.findByIdAndUpdate(this._id, update, { new: true });
+  if (!updated) return false;
+
+  this.loginAttempts = updated.loginAttempts;
+  this.lockUntil = updated.lockUntil;
+
+  if (this.loginAttempts >= MAX_LOGIN_ATTEMPTS && !this.isLocked) {
+    this.lockUntil = new Date(Date.now() + LOCK_TIME);
+    await Model.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  }
+
+  return this.isLocked;
+};
+
+// Clear the failed-attempt counter after a successful login or an admin unlock
+userSchema.methods.resetLoginAttempts = async function() {
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { loginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
 // Method to remove sensitive data when sending user data to client
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
-  delete user.refreshToken;
+  delete user.twoFactorSecret;
+  delete user.twoFactorTempSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastStep;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
   return user;
 };
 
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One document per user. "wishlist" entries are bookmarks; "saved" entries were moved
+// out of the cart with save-for-later and keep their quantity for the way back.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Optional for bookmarks; required before the entry can go into the cart
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    list: {
+      type: String,
+      enum: ['wishlist', 'saved'],
+      default: 'wishlist'
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    // Price and availability when saved, used to flag price drops and restocks
+    priceAtSave: {
+      type: Number
+    },
+    inStockAtSave: {
+      type: Boolean
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
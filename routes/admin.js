@@ -1,37 +1,336 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
-const { auth, adminAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const ShippingRule = require('../models/ShippingRule');
+const Coupon = require('../models/Coupon');
+const TaxRate = require('../models/TaxRate');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const Review = require('../models/Review');
+const { PERMISSIONS } = require('../config/permissions');
+const { auth, requirePermission } = require('../middleware/auth');
+const {
+  ORDER_TRANSITIONS,
+  REFUND_DUE_STATUSES,
+  InvalidTransitionError,
+  transitionOrder
+} = require('../utils/orderStatus');
+const { getProvider } = require('../utils/payments');
+const { markOrderPaid } = require('../utils/payments/events');
+const { roundMoney } = require('../utils/money');
+const { verifyQrToken } = require('../utils/orderQr');
+const { refreshProductRating } = require('../utils/reviews');
+const { escapeRegex } = require('../utils/text');
+const {
+  parsePagination,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+} = require('../utils/pagination');
 
-router.post('/products', auth, adminAuth, async (req, res) => {
+const ORDER_SORT_FIELDS = ['createdAt', 'updatedAt', 'totalAmount', 'status'];
+
+const pickFields = (body, fields) => fields.reduce((picked, field) => {
+  if (body[field] !== undefined) picked[field] = body[field];
+  return picked;
+}, {});
+
+// Shared by create, replace and partial update; returns an error message or null
+const validateProduct = (body, { partial = false } = {}) => {
+  const { name, price, stock, weight } = body;
+
+  if (!partial && (!name || !price)) {
+    return 'Name and price are required';
+  }
+
+  if (partial && name !== undefined && !name) {
+    return 'Name cannot be empty';
+  }
+
+  if (price !== undefined && (price === '' || isNaN(price) || price < 0)) {
+    return 'Price must be a valid number';
+  }
+
+  if (stock !== undefined && stock !== null && stock !== '' && (isNaN(stock) || stock < 0)) {
+    return 'Stock must be a valid number';
+  }
+
+  if (weight !== undefined && weight !== null && weight !== '' && (isNaN(weight) || weight < 0)) {
+    return 'Weight must be a valid number';
+  }
+
+  return null;
+};
+
+const PRODUCT_FIELDS = ['name', 'description', 'price', 'image', 'sku', 'category', 'stock', 'weight'];
+
+const productDefaults = ({ name, description, price, image, sku, category, stock, weight }) => ({
+  name,
+  description,
+  price,
+  image: image || '',
+  sku,
+  category: category || 'General',
+  stock: stock || 0,
+  weight: weight || 0
+});
+
+router.post('/products', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const validationError = validateProduct(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const product = new Product(productDefaults(req.body));
+
+    await product.save();
+    res.status(201).json({
+      message: 'Product created successfully',
+      product
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/products/:id', auth, requirePermission('products:write'), async (req, res) => {
   try {
-    const { name, description, price, image, category, stock } = req.body;
+    const validationError = validateProduct(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.set(productDefaults(req.body));
+    await product.save();
+
+    res.json({
+      message: 'Product updated successfully',
+      product
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    // Validation
-    if (!name || !price) {
-      return res.status(400).json({ message: 'Name and price are required' });
+router.patch('/products/:id', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const validationError = validateProduct(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
 
-    if (isNaN(price) || price < 0) {
-      return res.status(400).json({ message: 'Price must be a valid number' });
+    const updates = pickFields(req.body, PRODUCT_FIELDS);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `Provide at least one of: ${PRODUCT_FIELDS.join(', ')}` });
     }
 
-    if (stock && (isNaN(stock) || stock < 0)) {
-      return res.status(400).json({ message: 'Stock must be a valid number' });
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
     }
 
-    const product = new Product({
-      name,
-      description: description || '',
-      price,
-      image: image || '',
-      category: category || 'General',
-      stock: stock || 0
+    product.set(updates);
+    await product.save();
+
+    res.json({
+      message: 'Product updated successfully',
+      product
     });
 
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Archiving keeps the document so carts and orders can still populate it
+router.delete('/products/:id', auth, requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { isArchived: true, archivedAt: new Date() },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({ message: 'Product archived successfully', product });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/products/:id/restore', auth, requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { isArchived: false, $unset: { archivedAt: 1 } },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({ message: 'Product restored successfully', product });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/products/:id/purge', auth, requirePermission('products:delete'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (!product.isArchived) {
+      return res.status(409).json({ message: 'Archive the product before purging it' });
+    }
+
+    await product.deleteOne();
+    await Review.deleteMany({ product: product._id });
+
+    res.json({ message: 'Product deleted permanently' });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'stock', 'image'];
+
+const validateVariant = (body, { partial = false } = {}) => {
+  const { sku, options, price, stock } = body;
+
+  if (!partial && !sku) {
+    return 'SKU is required';
+  }
+
+  if (partial && sku !== undefined && !sku) {
+    return 'SKU cannot be empty';
+  }
+
+  if (options !== undefined && (
+    typeof options !== 'object' || options === null || Array.isArray(options) ||
+    Object.values(options).some(value => typeof value !== 'string' || !value)
+  )) {
+    return 'Options must be an object of non-empty strings, e.g. { "size": "M" }';
+  }
+
+  // null clears the override so the variant uses the product price
+  if (price !== undefined && price !== null && (price === '' || isNaN(price) || price < 0)) {
+    return 'Price must be a valid number';
+  }
+
+  if (stock !== undefined && (stock === '' || isNaN(stock) || stock < 0)) {
+    return 'Stock must be a valid number';
+  }
+
+  return null;
+};
+
+const isSkuTaken = (sku, exceptVariantId = null) => Product.exists({
+  variants: {
+    $elemMatch: {
+      sku,
+      ...(exceptVariantId && { _id: { $ne: exceptVariantId } })
+    }
+  }
+});
+
+router.post('/products/:id/variants', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const validationError = validateVariant(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (await isSkuTaken(req.body.sku)) {
+      return res.status(409).json({ message: 'SKU already in use' });
+    }
+
+    const { sku, options, price, stock, image } = req.body;
+    product.variants.push({ sku, options: options || {}, price, stock: stock || 0, image });
     await product.save();
+
     res.status(201).json({
-      message: 'Product created successfully',
+      message: 'Variant created successfully',
+      variant: product.variants[product.variants.length - 1],
+      product
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/products/:id/variants/:variantId', auth, requirePermission('products:write'), async (req, res) => {
+  try {
+    const validationError = validateVariant(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    if (req.body.sku && await isSkuTaken(req.body.sku, variant._id)) {
+      return res.status(409).json({ message: 'SKU already in use' });
+    }
+
+    VARIANT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) variant.set(field, req.body[field] === null ? undefined : req.body[field]);
+    });
+    await product.save();
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant,
       product
     });
 
@@ -40,24 +339,44 @@ router.post('/products', auth, adminAuth, async (req, res) => {
   }
 });
 
-router.delete('/products/:id', auth, adminAuth, async (req, res) => {
+router.delete('/products/:id/variants/:variantId', auth, requirePermission('products:write'), async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json({ message: 'Product deleted successfully' });
+    const variant = product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    variant.deleteOne();
+
+    // Without variants the product falls back to its own stock, which has nothing left
+    if (product.variants.length === 0) {
+      product.stock = 0;
+    }
+    await product.save();
+
+    res.json({ message: 'Variant deleted successfully', product });
 
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-router.get('/products', auth, adminAuth, async (req, res) => {
+router.get('/products', auth, requirePermission('products:read'), async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
+    const { archived } = req.query;
+    const filter = {};
+
+    if (archived === 'true') filter.isArchived = true;
+    if (archived === 'false') filter.isArchived = { $ne: true };
+
+    const products = await Product.find(filter).sort({ createdAt: -1 });
 
     res.json({
       count: products.length,
@@ -69,4 +388,1174 @@ router.get('/products', auth, adminAuth, async (req, res) => {
   }
 });
 
+router.get('/orders', auth, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { status, from, to, user, deliveryType, minTotal, maxTotal, cursor } = req.query;
+    const filter = {};
+
+    if (status) {
+      const statuses = String(status).split(',');
+      if (statuses.some(value => !ORDER_TRANSITIONS[value])) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+    }
+
+    if (user) {
+      if (!mongoose.isValidObjectId(user)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      filter.user = user;
+    }
+
+    if (deliveryType) {
+      const deliveryTypes = Order.schema.path('deliveryType').enumValues;
+      if (!deliveryTypes.includes(String(deliveryType))) {
+        return res.status(400).json({ message: `deliveryType must be one of: ${deliveryTypes.join(', ')}` });
+      }
+      filter.deliveryType = String(deliveryType);
+    }
+
+    if (minTotal !== undefined || maxTotal !== undefined) {
+      filter.totalAmount = {};
+      if (minTotal !== undefined) filter.totalAmount.$gte = Number(minTotal);
+      if (maxTotal !== undefined) filter.totalAmount.$lte = Number(maxTotal);
+
+      if (Object.values(filter.totalAmount).some(value => isNaN(value))) {
+        return res.status(400).json({ message: 'minTotal and maxTotal must be numbers' });
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const sort = parseSort(req.query.sort, ORDER_SORT_FIELDS, '-createdAt');
+
+    // Cursor mode skips the count and page math; offset mode returns totals
+    let query = filter;
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      query = { $and: [filter, cursorFilter(decoded, sort)] };
+    }
+
+    const orders = await Order.find(query)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .skip(cursor ? 0 : skip)
+      .limit(limit)
+      .populate('user', 'name email status');
+
+    const nextCursor = orders.length === limit
+      ? encodeCursor(orders[orders.length - 1], sort.field)
+      : null;
+
+    if (cursor) {
+      return res.json({ count: orders.length, nextCursor, orders });
+    }
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      orders
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/orders/:id', auth, requirePermission('orders:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('user', 'name email status lastLogin')
+      .populate('items.product')
+      .populate('statusHistory.actor', 'name email role')
+      .populate('courier', 'name email')
+      .populate('trackingEvents.actor', 'name');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({ order });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/orders/:id/status', auth, requirePermission('orders:transition'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const { status, note } = req.body;
+
+    if (!ORDER_TRANSITIONS[status]) {
+      return res.status(400).json({
+        message: `Status must be one of: ${Object.keys(ORDER_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const order = await transitionOrder(req.params.id, status, {
+      actor: req.user._id,
+      note
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({
+      message: `Order moved to ${status}`,
+      order
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({
+        message: error.message,
+        from: error.from,
+        allowed: error.allowed
+      });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const SHIPPING_RULE_FIELDS = [
+  'name', 'deliveryType', 'countries', 'zipPrefixes', 'baseRate', 'perKgRate',
+  'minWeight', 'maxWeight', 'minOrderValue', 'maxOrderValue',
+  'freeShippingThreshold', 'estimatedDays', 'priority', 'isActive'
+];
+
+router.get('/shipping-rules', auth, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const rules = await ShippingRule.find().sort({ deliveryType: 1, priority: -1 });
+
+    res.json({
+      count: rules.length,
+      rules
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/shipping-rules', auth, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const { name, deliveryType, baseRate } = req.body;
+
+    if (!name || !deliveryType || baseRate === undefined) {
+      return res.status(400).json({ message: 'Name, deliveryType and baseRate are required' });
+    }
+
+    const rule = new ShippingRule(pickFields(req.body, SHIPPING_RULE_FIELDS));
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Shipping rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/shipping-rules/:id', auth, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const rule = await ShippingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Shipping rule not found' });
+    }
+
+    rule.set(pickFields(req.body, SHIPPING_RULE_FIELDS));
+    await rule.save();
+
+    res.json({
+      message: 'Shipping rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/shipping-rules/:id', auth, requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const rule = await ShippingRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Shipping rule not found' });
+    }
+
+    res.json({ message: 'Shipping rule deleted successfully' });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+  'startsAt', 'endsAt', 'usageLimit', 'usageLimitPerUser', 'minOrderValue',
+  'categories', 'products', 'isActive'
+];
+
+router.get('/coupons', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      count: coupons.length,
+      coupons
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/coupons', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { code, type } = req.body;
+
+    if (!code || !type) {
+      return res.status(400).json({ message: 'Code and type are required' });
+    }
+
+    if (await Coupon.exists({ code: String(code).trim().toUpperCase() })) {
+      return res.status(409).json({ message: 'Coupon code already exists' });
+    }
+
+    const coupon = new Coupon(pickFields(req.body, COUPON_FIELDS));
+    await coupon.save();
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/coupons/:id', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    coupon.set(pickFields(req.body, COUPON_FIELDS));
+    await coupon.save();
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Coupon code already exists' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Orders keep their own copy of the applied discount, so deleting is safe
+router.delete('/coupons/:id', auth, requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon deleted successfully' });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+const TAX_RATE_FIELDS = ['name', 'country', 'region', 'category', 'rate', 'mode', 'appliesToShipping', 'isActive'];
+
+router.get('/tax-rates', auth, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.country) filter.country = String(req.query.country).toUpperCase();
+
+    const rates = await TaxRate.find(filter).sort({ country: 1, region: 1, category: 1 });
+
+    res.json({
+      count: rates.length,
+      rates
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/tax-rates', auth, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const { name, country, rate } = req.body;
+
+    if (!name || !country || rate === undefined) {
+      return res.status(400).json({ message: 'Name, country and rate are required' });
+    }
+
+    const taxRate = new TaxRate(pickFields(req.body, TAX_RATE_FIELDS));
+    await taxRate.save();
+
+    res.status(201).json({
+      message: 'Tax rate created successfully',
+      rate: taxRate
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Existing orders keep their taxLines, edits only affect new checkouts
+router.patch('/tax-rates/:id', auth, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    taxRate.set(pickFields(req.body, TAX_RATE_FIELDS));
+    await taxRate.save();
+
+    res.json({
+      message: 'Tax rate updated successfully',
+      rate: taxRate
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/tax-rates/:id', auth, requirePermission('taxes:manage'), async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    res.json({ message: 'Tax rate deleted successfully' });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Staff scan the customer's QR code at handover; each code confirms delivery exactly once
+router.post('/orders/scan', auth, requirePermission('orders:transition'), async (req, res) => {
+  try {
+    const decoded = verifyQrToken(req.body.token);
+
+    if (!decoded || !mongoose.isValidObjectId(decoded.orderId)) {
+      return res.status(400).json({ message: 'Invalid QR code' });
+    }
+
+    const qrFilter = { 'qr.nonce': decoded.nonce };
+    const order = await transitionOrder(decoded.orderId, 'delivered', {
+      actor: req.user._id,
+      note: req.body.note || 'Handover confirmed by QR scan',
+      filter: { ...qrFilter, 'qr.redeemedAt': { $exists: false } },
+      set: { 'qr.redeemedAt': new Date(), 'qr.redeemedBy': req.user._id }
+    });
+
+    if (!order) {
+      const scanned = await Order.findOne({ _id: decoded.orderId, ...qrFilter });
+
+      if (scanned && scanned.qr.redeemedAt) {
+        return res.status(409).json({
+          message: 'QR code has already been used',
+          redeemedAt: scanned.qr.redeemedAt
+        });
+      }
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({
+      message: 'Handover confirmed',
+      order
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({
+        message: `Order is ${error.from}, only shipped orders can be handed over`,
+        from: error.from
+      });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/orders/:id/assign', auth, requirePermission('orders:assign'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const { courierId } = req.body;
+
+    if (!mongoose.isValidObjectId(courierId)) {
+      return res.status(400).json({ message: 'A valid courierId is required' });
+    }
+
+    const courier = await User.findOne({ _id: courierId, role: 'courier', status: 'active' });
+
+    if (!courier) {
+      return res.status(404).json({ message: 'Active courier not found' });
+    }
+
+    // Reassigning is allowed while the order is still out for delivery
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, status: 'shipped' },
+      { courier: courier._id, assignedAt: new Date() },
+      { new: true }
+    ).populate('courier', 'name email');
+
+    if (!order) {
+      const exists = await Order.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ message: 'Order not found' });
+      return res.status(409).json({ message: 'Only shipped orders can be assigned to a courier' });
+    }
+
+    res.json({
+      message: 'Order assigned to courier',
+      order
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/orders/:id/capture', auth, requirePermission('payments:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.paymentStatus !== 'authorized') {
+      return res.status(409).json({ message: 'Only authorized payments can be captured' });
+    }
+
+    // Claim the capture first so a concurrent request cannot charge the customer twice
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: 'authorized' },
+      { paymentStatus: 'capturing' },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Payment is already being captured' });
+    }
+
+    const provider = getProvider(order.paymentProvider);
+    let charge;
+    try {
+      charge = await provider.capture(order.paymentIntentId, order.totalAmount);
+    } catch (error) {
+      charge = { status: 'failed', error: error.message };
+    }
+
+    if (charge.status !== 'succeeded') {
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: 'capturing' },
+        {
+          paymentStatus: 'authorized',
+          $push: {
+            transactions: {
+              type: 'failure',
+              provider: provider.name,
+              reference: charge.id,
+              amount: order.totalAmount,
+              status: 'capture_failed'
+            }
+          }
+        }
+      );
+      return res.status(502).json({ message: 'Payment capture failed', charge });
+    }
+
+    const updated = await markOrderPaid(
+      order._id,
+      { provider: provider.name, reference: charge.id, amount: charge.amount },
+      { paymentStatus: 'capturing' }
+    );
+
+    res.json({
+      message: 'Payment captured successfully',
+      order: updated
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/orders/:id/refund', auth, requirePermission('payments:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (![...REFUND_DUE_STATUSES, 'refund_pending'].includes(order.paymentStatus)) {
+      return res.status(409).json({ message: 'Only paid orders can be refunded' });
+    }
+
+    const refundable = roundMoney(order.totalAmount - order.amountRefunded);
+    const amount = req.body.amount === undefined ? refundable : Number(req.body.amount);
+
+    if (isNaN(amount) || amount <= 0 || amount > refundable) {
+      return res.status(400).json({ message: `Refund amount must be between 0 and ${refundable}` });
+    }
+
+    // Reserve the amount before calling the provider: the update only matches if no other
+    // refund changed amountRefunded since it was read, so concurrent refunds cannot overdraw
+    const provider = getProvider(order.paymentProvider);
+    const transactionId = new mongoose.Types.ObjectId();
+
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: order.paymentStatus, amountRefunded: order.amountRefunded },
+      {
+        amountRefunded: roundMoney(order.amountRefunded + amount),
+        $push: {
+          transactions: { _id: transactionId, type: 'refund', provider: provider.name, amount, status: 'pending' }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Order payment changed while refunding, please retry' });
+    }
+
+    let refund;
+    try {
+      refund = await provider.refund(order.paymentIntentId, amount);
+    } catch (error) {
+      refund = { status: 'failed', error: error.message };
+    }
+
+    if (refund.status !== 'succeeded') {
+      await Order.updateOne(
+        { _id: order._id, 'transactions._id': transactionId },
+        {
+          $set: { 'transactions.$.status': 'failed', 'transactions.$.reference': refund.id },
+          $inc: { amountRefunded: -amount }
+        }
+      );
+      return res.status(502).json({ message: 'Refund failed', refund });
+    }
+
+    await Order.updateOne(
+      { _id: order._id, 'transactions._id': transactionId },
+      { $set: { 'transactions.$.status': refund.status, 'transactions.$.reference': refund.id } }
+    );
+
+    // Derived from the stored total so refunds finishing out of order still land on the right status.
+    // A cancelled order stays refund_pending until it is refunded in full.
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id },
+      [{
+        $set: {
+          amountRefunded: { $round: ['$amountRefunded', 2] },
+          paymentStatus: {
+            $cond: [
+              { $gte: [{ $round: ['$amountRefunded', 2] }, { $round: ['$totalAmount', 2] }] },
+              'refunded',
+              { $cond: [{ $eq: ['$paymentStatus', 'refund_pending'] }, 'refund_pending', 'partially_refunded'] }
+            ]
+          }
+        }
+      }],
+      { new: true }
+    );
+
+    res.json({
+      message: 'Refund issued successfully',
+      order: updated
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/users', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { q, role, status } = req.query;
+    const filter = {};
+
+    if (q) {
+      const pattern = { $regex: escapeRegex(String(q).trim()), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role !== undefined) {
+      const roles = User.schema.path('role').enumValues;
+      if (!roles.includes(String(role))) {
+        return res.status(400).json({ message: `Role must be one of: ${roles.join(', ')}` });
+      }
+      filter.role = String(role);
+    }
+    if (status !== undefined) {
+      const statuses = User.schema.path('status').enumValues;
+      if (!statuses.includes(String(status))) {
+        return res.status(400).json({ message: `Status must be one of: ${statuses.join(', ')}` });
+      }
+      filter.status = String(status);
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('adminRole', 'name'),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      users
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/users/:id', auth, requirePermission('users:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await User.findById(req.params.id).populate('adminRole');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [orderStats, activeSessions] = await Promise.all([
+      Order.aggregate([
+        { $match: { user: user._id } },
+        {
+          $group: {
+            _id: null,
+            orderCount: { $sum: 1 },
+            // Cancelled orders and refunds do not count towards spend
+            lifetimeSpend: {
+              $sum: {
+                $cond: [
+                  { $eq: ['$status', 'cancelled'] },
+                  0,
+                  { $subtract: ['$totalAmount', { $ifNull: ['$amountRefunded', 0] }] }
+                ]
+              }
+            },
+            lastOrderAt: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      Session.countDocuments({
+        user: user._id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      })
+    ]);
+
+    const stats = orderStats[0] || { orderCount: 0, lifetimeSpend: 0, lastOrderAt: null };
+
+    res.json({
+      user,
+      stats: {
+        orderCount: stats.orderCount,
+        lifetimeSpend: roundMoney(stats.lifetimeSpend),
+        lastOrderAt: stats.lastOrderAt,
+        activeSessions
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/users/:id/status', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const { status } = req.body;
+    const statuses = User.schema.path('status').enumValues;
+
+    if (!statuses.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${statuses.join(', ')}` });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(409).json({ message: 'You cannot change your own status' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { status }, { new: true });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // The auth middleware already rejects the user, this also stops token refreshes
+    if (status !== 'active') {
+      await Session.revokeAllForUser(user._id, 'admin');
+    }
+
+    res.json({
+      message: `User status changed to ${status}`,
+      user
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/users/:id/role', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const { role } = req.body;
+    const roles = User.schema.path('role').enumValues;
+
+    if (!roles.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${roles.join(', ')}` });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(409).json({ message: 'You cannot change your own role' });
+    }
+
+    const target = await User.findById(req.params.id).select('role');
+
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Granting or taking away admin access is role management, not user management
+    if ((target.role === 'admin' || role === 'admin') && !req.adminRole.hasPermission('roles:manage')) {
+      return res.status(403).json({ message: 'Insufficient permissions', missing: ['roles:manage'] });
+    }
+
+    // Admin permissions only make sense on admin accounts.
+    // Conditional on the role checked above so a concurrent change cannot slip past it.
+    const user = await User.findOneAndUpdate(
+      { _id: target._id, role: target.role },
+      role === 'admin' ? { role } : { role, $unset: { adminRole: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(409).json({ message: 'User role changed concurrently, please retry' });
+    }
+
+    res.json({
+      message: `User role changed to ${role}`,
+      user
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/users/:id/logout', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    if (!await User.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await Session.revokeAllForUser(req.params.id, 'admin');
+
+    res.json({
+      message: 'User logged out from all devices',
+      revokedSessions: result.modifiedCount
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/roles', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      count: roles.length,
+      roles,
+      permissions: PERMISSIONS
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/roles', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({ message: 'Name and a permissions array are required' });
+    }
+
+    if (await Role.exists({ name: String(name).trim().toLowerCase() })) {
+      return res.status(409).json({ message: 'Role name already exists' });
+    }
+
+    const role = new Role({ name, description, permissions });
+    await role.save();
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.patch('/roles/:id', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(409).json({ message: 'System roles cannot be modified' });
+    }
+
+    if (req.body.permissions !== undefined && !Array.isArray(req.body.permissions)) {
+      return res.status(400).json({ message: 'permissions must be an array' });
+    }
+
+    role.set(pickFields(req.body, ['name', 'description', 'permissions']));
+    await role.save();
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Role name already exists' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/roles/:id', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(409).json({ message: 'System roles cannot be deleted' });
+    }
+
+    const assigned = await User.countDocuments({ adminRole: role._id });
+    if (assigned > 0) {
+      return res.status(409).json({ message: `Role is assigned to ${assigned} user(s)` });
+    }
+
+    await role.deleteOne();
+
+    res.json({ message: 'Role deleted successfully' });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/users/:id/admin-role', auth, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const { roleId } = req.body;
+
+    if (roleId !== null && !mongoose.isValidObjectId(roleId)) {
+      return res.status(400).json({ message: 'roleId must be a valid id or null' });
+    }
+
+    const role = roleId ? await Role.findById(roleId) : null;
+
+    if (roleId && !role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    // Keep admins from locking themselves out of role management
+    if (req.user._id.equals(req.params.id) && (!role || !role.hasPermission('roles:manage'))) {
+      return res.status(409).json({ message: 'You cannot remove your own roles:manage permission' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'admin' },
+      role ? { adminRole: role._id } : { $unset: { adminRole: 1 } },
+      { new: true }
+    ).populate('adminRole');
+
+    if (!user) {
+      return res.status(404).json({ message: 'Admin user not found' });
+    }
+
+    res.json({
+      message: role ? `Role ${role.name} assigned` : 'Admin role removed',
+      user
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/users/:id/2fa-requirement', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be a boolean' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { twoFactorRequired: required },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: required
+        ? 'Two-factor authentication is now required for this user'
+        : 'Two-factor authentication is no longer required for this user',
+      user
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/users/:id/unlock', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.json({
+      message: 'User unlocked successfully',
+      user
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Moderation queue: most reported first, then newest
+router.get('/reviews', auth, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, reported, product } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!['visible', 'hidden'].includes(status)) {
+        return res.status(400).json({ message: 'status must be visible or hidden' });
+      }
+      filter.status = status;
+    }
+    if (reported === 'true') filter.reportCount = { $gt: 0 };
+    if (product) {
+      if (!mongoose.isValidObjectId(product)) {
+        return res.status(400).json({ message: 'Invalid product id' });
+      }
+      filter.product = product;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ reportCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name email')
+        .populate('product', 'name'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      reviews
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Hiding keeps the review for the record; making it visible again dismisses its reports
+router.patch('/reviews/:id/status', auth, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['visible', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'status must be visible or hidden' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid review id' });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    review.status = status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    if (note !== undefined) review.moderationNote = note;
+
+    if (status === 'visible') {
+      review.reports = [];
+      review.reportCount = 0;
+    }
+
+    await review.save();
+    await refreshProductRating(review.product);
+
+    res.json({
+      message: status === 'hidden' ? 'Review hidden' : 'Review restored',
+      review
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
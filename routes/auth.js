@@ -1,20 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 
 const { 
   generateToken, 
-  generateRefreshToken 
+  generateRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken
 } = require('../utils/jwt');
-
-const sendError = (res, code, message, errorCode = null, errors = null) => {
+const {
+  generateSecret,
+  verifyTokenStep,
+  generateQRCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/twoFactor');
+const { auth, setupAuth } = require('../middleware/auth');
+const { sendMail } = require('../utils/mailer');
+const { parseDuration } = require('../utils/duration');
+const { mergeGuestCart } = require('../utils/cart');
+
+const REFRESH_TOKEN_TTL = parseDuration(process.env.JWT_REFRESH_EXPIRES_IN, 7 * 24 * 60 * 60 * 1000, 'JWT_REFRESH_EXPIRES_IN');
+
+const sendError = (res, code, message, errorCode = null, errors = null, details = null) => {
   const response = {
     success: false,
     message,
     ...(errorCode && { code: errorCode }),
+    ...(details && details),
     ...(errors && { errors }),
     ...(process.env.NODE_ENV === 'development' && errors && { debug: errors })
   };
@@ -22,6 +40,126 @@ const sendError = (res, code, message, errorCode = null, errors = null) => {
   return res.status(code).json(response);
 };
 
+// Locked accounts get a distinct code plus the time they may try again
+const sendLocked = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  return sendError(
+    res,
+    423,
+    'Account is temporarily locked due to too many failed login attempts',
+    'ACCOUNT_LOCKED',
+    null,
+    { retryAt: user.lockUntil.toISOString(), retryAfter }
+  );
+};
+
+// Start a new device session and issue its access/refresh token pair
+const issueTokens = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  const token = await generateToken(user._id, session._id);
+  const refreshToken = await generateRefreshToken(user._id, session._id);
+
+  session.tokenHash = Session.hashToken(refreshToken);
+  await session.save();
+
+  return { token, refreshToken };
+};
+
+// Replace the session's refresh token; the previous one becomes a reuse signal.
+// Resolves to null when another request already rotated the same token.
+const rotateTokens = async (session, currentToken, req) => {
+  const token = await generateToken(session.user, session._id);
+  const refreshToken = await generateRefreshToken(session.user, session._id);
+
+  const updated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      tokenHash: Session.hashToken(currentToken),
+      revokedAt: { $exists: false }
+    },
+    {
+      tokenHash: Session.hashToken(refreshToken),
+      lastUsedAt: new Date(),
+      userAgent: req.get('user-agent') || session.userAgent,
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+    }
+  );
+
+  return updated ? { token, refreshToken } : null;
+};
+
+// Returns the challenge payload when the password step is not enough to log in, otherwise null
+const createLoginChallenge = async (user, requireTwoFactor = false) => {
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: await generateChallengeToken(user._id, '2fa')
+    };
+  }
+
+  if (requireTwoFactor || user.twoFactorRequired) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: await generateChallengeToken(user._id, '2fa-setup')
+    };
+  }
+
+  return null;
+};
+
+// Move a guest cart into the user's cart; a bad or expired cart token never blocks the login
+const mergeCart = async (user, cartToken) => {
+  if (!cartToken) return null;
+
+  try {
+    return await mergeGuestCart(user._id, cartToken);
+  } catch (error) {
+    console.error('Cart merge error:', error);
+    return null;
+  }
+};
+
+// Accept a TOTP code at most once: its time step must be newer than the last one used
+const consumeTotp = async (user, secret, token) => {
+  const step = verifyTokenStep(secret, String(token));
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }]
+    },
+    { twoFactorLastStep: step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Check a TOTP code, or consume a recovery code so it cannot be used again
+const verifySecondFactor = async (user, { token, recoveryCode }) => {
+  if (token) {
+    return consumeTotp(user, user.twoFactorSecret, token);
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) },
+      { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
 // Input validation middleware
 const validateRegister = [
   body('name')
@@ -42,7 +180,11 @@ const validateRegister = [
     }),
   body('password')
     .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
+    .withMessage('Password must be at least 6 characters long'),
+  body('cartToken')
+    .optional()
+    .isString()
+    .withMessage('Cart token must be a string')
 ];
 
 router.post('/register', validateRegister, async (req, res) => {
@@ -52,24 +194,21 @@ router.post('/register', validateRegister, async (req, res) => {
   }
 
   try {
-    const { name, email, password } = req.body;
-
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const { name, email, password, cartToken } = req.body;
 
+    // Password is hashed by the User pre-save hook
     const user = new User({
       name,
       email,
-      password: hashedPassword,
+      password,
       status: 'active'
     });
 
     await user.save();
 
     // Generate JWT token
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { token, refreshToken } = await issueTokens(user, req);
+    const cart = await mergeCart(user, cartToken);
 
     // Omit sensitive data from response
     const userResponse = user.toObject();
@@ -82,7 +221,8 @@ router.post('/register', validateRegister, async (req, res) => {
       data: {
         user: userResponse,
         token,
-        refreshToken
+        refreshToken,
+        ...(cart && { cart })
       }
     });
   } catch (error) {
@@ -99,7 +239,11 @@ const validateLogin = [
     .normalizeEmail(),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('cartToken')
+    .optional()
+    .isString()
+    .withMessage('Cart token must be a string')
 ];
 
 router.post('/login', validateLogin, async (req, res) => {
@@ -109,15 +253,21 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 
   try {
-    const { email, password } = req.body;
+    const { email, password, cartToken } = req.body;
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+password');
     if (!user) {
       return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
+    if (user.isLocked) {
+      return sendLocked(res, user);
+    }
+
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      const locked = await user.incLoginAttempts();
+      if (locked) return sendLocked(res, user);
       return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
     }
 
@@ -126,9 +276,26 @@ router.post('/login', validateLogin, async (req, res) => {
       return sendError(res, 403, 'Account is not active', 'ACCOUNT_INACTIVE');
     }
 
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    const challenge = await createLoginChallenge(user);
+    if (challenge) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: challenge
+      });
+    }
+
     // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { token: accessToken, refreshToken } = await issueTokens(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const cart = await mergeCart(user, cartToken);
 
     // Omit sensitive data from response
     const userResponse = user.toObject();
@@ -141,7 +308,8 @@ router.post('/login', validateLogin, async (req, res) => {
       data: {
         user: userResponse,
         token: accessToken,
-        refreshToken
+        refreshToken,
+        ...(cart && { cart })
       }
     });
   } catch (error) {
@@ -157,26 +325,9 @@ router.post('/refresh-token', async (req, res) => {
       return sendError(res, 400, 'Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
     }
 
+    let decoded;
     try {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-      const user = await User.findById(decoded.userId);
-      
-      if (!user) {
-        return sendError(res, 404, 'User not found', 'USER_NOT_FOUND');
-      }
-
-      // Generate new tokens
-      const newAccessToken = generateToken(user._id);
-      const newRefreshToken = generateRefreshToken(user._id);
-
-      res.json({
-        success: true,
-        message: 'Token refreshed successfully',
-        data: {
-          token: newAccessToken,
-          refreshToken: newRefreshToken
-        }
-      });
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     } catch (error) {
       return sendError(
         res, 
@@ -185,12 +336,145 @@ router.post('/refresh-token', async (req, res) => {
         'INVALID_REFRESH_TOKEN'
       );
     }
+
+    const session = decoded.sid
+      ? await Session.findById(decoded.sid).select('+tokenHash')
+      : null;
+
+    if (!session || !session.isActive || session.user.toString() !== decoded.userId) {
+      return sendError(res, 401, 'Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED');
+    }
+
+    // An already rotated token is being replayed: assume it was stolen and kill the family
+    if (session.tokenHash !== Session.hashToken(refreshToken)) {
+      await session.revoke('reuse_detected');
+      return sendError(res, 401, 'Refresh token reuse detected, session revoked', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const user = await User.findById(decoded.userId);
+    
+    if (!user) {
+      return sendError(res, 404, 'User not found', 'USER_NOT_FOUND');
+    }
+
+    if (user.status !== 'active' || user.changedPasswordAfter(decoded.iat)) {
+      await session.revoke('revoked');
+      return sendError(res, 401, 'Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED');
+    }
+
+    // Generate new tokens
+    const tokens = await rotateTokens(session, refreshToken, req);
+    if (!tokens) {
+      await session.revoke('reuse_detected');
+      return sendError(res, 401, 'Refresh token reuse detected, session revoked', 'REFRESH_TOKEN_REUSED');
+    }
+    const { token: newAccessToken, refreshToken: newRefreshToken } = tokens;
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: newAccessToken,
+        refreshToken: newRefreshToken
+      }
+    });
   } catch (error) {
     console.error('Token refresh error:', error);
     sendError(res, 500, 'Error refreshing token', 'TOKEN_REFRESH_ERROR', error.message);
   }
 });
 
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 400, 'Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
+    }
+
+    // Expired tokens may still log out, but the signature must be ours
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+      return sendError(res, 401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (decoded.sid) {
+      await Session.updateOne(
+        { _id: decoded.sid, user: decoded.userId, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    sendError(res, 500, 'Error logging out', 'LOGOUT_ERROR', error.message);
+  }
+});
+
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    sendError(res, 500, 'Error logging out', 'LOGOUT_ERROR', error.message);
+  }
+});
+
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: !!req.sessionId && session._id.equals(req.sessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    sendError(res, 500, 'Error fetching sessions', 'SESSION_ERROR', error.message);
+  }
+});
+
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || session.revokedAt) {
+      return sendError(res, 404, 'Session not found', 'SESSION_NOT_FOUND');
+    }
+
+    await session.revoke('revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    sendError(res, 500, 'Error revoking session', 'SESSION_ERROR', error.message);
+  }
+});
+
 router.post('/admin/login', async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -198,16 +482,37 @@ router.post('/admin/login', async (req, res) => {
     if (!email || !password)
       return sendError(res, 400, 'Email and password are required');
 
-    const user = await User.findOne({ email, role: 'admin' });
+    const user = await User.findOne({ email, role: 'admin' }).select('+password');
     if (!user) return sendError(res, 401, 'Invalid credentials');
 
+    if (user.isLocked) return sendLocked(res, user);
+
     const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) return sendError(res, 401, 'Invalid credentials');
+    if (!isPasswordValid) {
+      const locked = await user.incLoginAttempts();
+      if (locked) return sendLocked(res, user);
+      return sendError(res, 401, 'Invalid credentials');
+    }
+
+    if (user.status !== 'active') {
+      return sendError(res, 403, 'Account is not active', 'ACCOUNT_INACTIVE');
+    }
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    const challenge = await createLoginChallenge(user, process.env.ADMIN_REQUIRE_2FA === 'true');
+    if (challenge) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        ...challenge
+      });
+    }
 
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { token: accessToken, refreshToken } = await issueTokens(user, req);
 
-    user.refreshToken = refreshToken;
+    user.lastLogin = new Date();
     await user.save();
 
     res.json({
@@ -227,4 +532,364 @@ router.post('/admin/login', async (req, res) => {
   }
 });
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendError(res, 400, 'Validation failed', 'VALIDATION_ERROR', errors.array());
+  }
+
+  // Same answer whether or not the email exists, so accounts cannot be enumerated
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || user.status !== 'active') {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. ` +
+          `It can only be used once and expires at ${user.passwordResetExpires.toISOString()}.\n\n` +
+          `${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+      throw mailError;
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    sendError(res, 500, 'Error sending password reset email', 'PASSWORD_RESET_ERROR', error.message);
+  }
+});
+
+const validateResetPassword = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendError(res, 400, 'Validation failed', 'VALIDATION_ERROR', errors.array());
+  }
+
+  try {
+    const hashedToken = crypto.createHash('sha256').update(String(req.body.token)).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return sendError(res, 400, 'Reset token is invalid or has expired', 'INVALID_RESET_TOKEN');
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    sendError(res, 500, 'Error resetting password', 'PASSWORD_RESET_ERROR', error.message);
+  }
+});
+
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    })
+];
+
+router.post('/change-password', auth, validateChangePassword, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendError(res, 400, 'Validation failed', 'VALIDATION_ERROR', errors.array());
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return sendError(res, 401, 'Current password is incorrect', 'INVALID_CREDENTIALS');
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Other sessions are logged out; hand the caller a fresh pair so it stays signed in
+    await Session.revokeAllForUser(user._id, 'password_change');
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    sendError(res, 500, 'Error changing password', 'PASSWORD_CHANGE_ERROR', error.message);
+  }
+});
+
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, token, recoveryCode, cartToken } = req.body;
+
+    if (!challengeToken || (!token && !recoveryCode)) {
+      return sendError(res, 400, 'Challenge token and a verification or recovery code are required', 'VALIDATION_ERROR');
+    }
+
+    const result = await verifyChallengeToken(challengeToken, '2fa');
+    if (!result.success) {
+      return sendError(res, 401, result.error, result.code);
+    }
+
+    const user = await User.findById(result.data.userId).select('+twoFactorSecret');
+    if (!user || !user.twoFactorEnabled) {
+      return sendError(res, 401, 'Invalid challenge token', 'INVALID_CHALLENGE_TOKEN');
+    }
+
+    if (user.status !== 'active') {
+      return sendError(res, 403, 'Account is not active', 'ACCOUNT_INACTIVE');
+    }
+
+    if (user.isLocked) {
+      return sendLocked(res, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const isValid = await verifySecondFactor(user, { token, recoveryCode });
+    if (!isValid) {
+      const locked = await user.incLoginAttempts();
+      if (locked) return sendLocked(res, user);
+      return sendError(res, 401, 'Invalid verification code', 'INVALID_2FA_CODE');
+    }
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    const tokens = await issueTokens(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const cart = await mergeCart(user, cartToken);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        ...tokens,
+        ...(cart && { cart })
+      }
+    });
+  } catch (error) {
+    console.error('2FA verification error:', error);
+    sendError(res, 500, 'Error verifying two-factor code', 'TWO_FACTOR_ERROR', error.message);
+  }
+});
+
+router.post('/2fa/setup', setupAuth, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return sendError(res, 400, 'Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = generateSecret(req.user.email);
+    const qrCode = await generateQRCode(secret.otpauth_url);
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { twoFactorTempSecret: secret.base32 }
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        qrCode,
+        secret: secret.base32,
+        otpauthUrl: secret.otpauth_url
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    sendError(res, 500, 'Error setting up two-factor authentication', 'TWO_FACTOR_ERROR', error.message);
+  }
+});
+
+router.post('/2fa/enable', setupAuth, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return sendError(res, 400, 'Verification code is required', 'VALIDATION_ERROR');
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorTempSecret');
+
+    if (user.twoFactorEnabled) {
+      return sendError(res, 400, 'Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (!user.twoFactorTempSecret) {
+      return sendError(res, 400, 'Start two-factor setup first', 'TWO_FACTOR_SETUP_MISSING');
+    }
+
+    if (!(await consumeTotp(user, user.twoFactorTempSecret, token))) {
+      return sendError(res, 401, 'Invalid verification code', 'INVALID_2FA_CODE');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorTempSecret;
+    user.twoFactorTempSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorEnabled = true;
+
+    // Enrolling from a setup challenge completes the pending login
+    let tokens = {};
+    if (req.viaChallenge) {
+      tokens = await issueTokens(user, req);
+      user.lastLogin = new Date();
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    sendError(res, 500, 'Error enabling two-factor authentication', 'TWO_FACTOR_ERROR', error.message);
+  }
+});
+
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, token, recoveryCode } = req.body;
+
+    if (!password || (!token && !recoveryCode)) {
+      return sendError(res, 400, 'Password and a verification or recovery code are required', 'VALIDATION_ERROR');
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return sendError(res, 400, 'Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (user.twoFactorRequired) {
+      return sendError(res, 403, 'Two-factor authentication is required for this account', 'TWO_FACTOR_REQUIRED');
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+
+    const isValid = await verifySecondFactor(user, { token, recoveryCode });
+    if (!isValid) {
+      return sendError(res, 401, 'Invalid verification code', 'INVALID_2FA_CODE');
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        $unset: { twoFactorSecret: 1, twoFactorTempSecret: 1, twoFactorRecoveryCodes: 1 }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    sendError(res, 500, 'Error disabling two-factor authentication', 'TWO_FACTOR_ERROR', error.message);
+  }
+});
+
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return sendError(res, 400, 'Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (!token || !(await consumeTotp(user, user.twoFactorSecret, token))) {
+      return sendError(res, 401, 'Invalid verification code', 'INVALID_2FA_CODE');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    sendError(res, 500, 'Error regenerating recovery codes', 'TWO_FACTOR_ERROR', error.message);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,154 +1,816 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const QRCode = require('qrcode');
+const { query, body, validationResult } = require('express-validator');
 
 const Product = require('../models/Product');
 const Cart = require('../models/Cart');
 const Address = require('../models/Address');
 const Order = require('../models/Order');
-const { auth } = require('../middleware/auth');
+const Wishlist = require('../models/Wishlist');
+const Review = require('../models/Review');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { InsufficientStockError, reserveStock } = require('../utils/inventory');
+const { InvalidTransitionError, transitionOrder } = require('../utils/orderStatus');
+const {
+  CatalogQueryError,
+  parseCatalogQuery,
+  buildCatalogPipeline,
+  formatCatalogResult
+} = require('../utils/catalog');
+const { escapeRegex, toTextSearch } = require('../utils/text');
+const { buildCartLines, linesSubtotal, linesWeight, summarizeCart } = require('../utils/checkout');
+const { CartError, parseQuantity, addItem, setItemQuantity } = require('../utils/cart');
+const { WISHLIST_LISTS, saveItem, formatWishlist } = require('../utils/wishlist');
+const { findVerifiedPurchase, ratingSummary, refreshProductRating } = require('../utils/reviews');
+const { parsePagination } = require('../utils/pagination');
+const {
+  pickAddressFields,
+  activeAddresses,
+  setDefaultAddress,
+  promoteNextDefault,
+  validationErrors
+} = require('../utils/address');
+const { CouponError, normalizeCode, findCoupon, evaluateCoupon, redeemCoupon } = require('../utils/coupons');
+const { quoteShipping } = require('../utils/shipping');
+const { calculateTax } = require('../utils/tax');
+const { roundMoney } = require('../utils/money');
+const { getProvider } = require('../utils/payments');
+const { generateQrNonce, createQrToken } = require('../utils/orderQr');
 
 router.get('/products', async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    const filters = parseCatalogQuery(req.query);
+    const result = await Product.aggregate(buildCatalogPipeline(filters));
+
+    res.json(formatCatalogResult(result, filters));
   } catch (error) {
+    if (error instanceof CatalogQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
-router.get('/products/search', async (req, res) => {
+const validateSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters')
+];
+
+router.get('/products/search', validateSearch, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+  }
+
   try {
-    const { q } = req.query;
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ]
+    const search = toTextSearch(req.query.q);
+    if (!search) {
+      return res.status(400).json({ message: 'Search query must contain at least one word' });
+    }
+
+    const filters = parseCatalogQuery(req.query);
+    const pipeline = buildCatalogPipeline(filters, {
+      match: { $text: { $search: search } },
+      project: { score: { $meta: 'textScore' } },
+      // Relevance first unless the shopper explicitly picked an order
+      sort: req.query.sort ? undefined : { score: -1, _id: 1 }
     });
-    res.json(products);
+
+    const result = await Product.aggregate(pipeline);
+
+    res.json({ query: search, ...formatCatalogResult(result, filters) });
   } catch (error) {
+    if (error instanceof CatalogQueryError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
-router.post('/cart', auth, async (req, res) => {
+const validateSuggest = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Search query must be between 1 and 50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('limit must be between 1 and 20')
+    .toInt()
+];
+
+router.get('/products/suggest', validateSuggest, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+  }
+
   try {
-    const { productId, quantity = 1 } = req.body;
+    const suggestions = await Product.find({
+      name: { $regex: `^${escapeRegex(req.query.q)}`, $options: 'i' },
+      isArchived: { $ne: true }
+    })
+      .select('name')
+      .sort({ name: 1 })
+      .limit(req.query.limit || 8)
+      .lean();
 
-    // ❗ Product mavjudligini tekshirish
-    const product = await Product.findById(productId);
-    if (!product) return res.status(404).json({ message: "Product not found" });
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  rating: { rating: -1, createdAt: -1 },
+  '-rating': { rating: 1, createdAt: -1 }
+};
+
+const validateReview = (partial) => [
+  body('rating')
+    .if((value) => !partial || value !== undefined)
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage('Title must be at most 120 characters'),
+  body('text')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review text must be at most 2000 characters')
+];
+
+// Who reported a review and why stays between the reporters and the moderators
+const publicReview = (review) => {
+  const json = review.toJSON();
+  delete json.reports;
+  delete json.moderatedBy;
+  delete json.moderationNote;
+  return json;
+};
+
+// Loads the review addressed by /products/:id/reviews/:reviewId, or answers 404
+const findProductReview = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.reviewId)) {
+    res.status(404).json({ message: 'Review not found' });
+    return null;
+  }
+
+  const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+  if (!review) res.status(404).json({ message: 'Review not found' });
+  return review;
+};
+
+router.get('/products/:id/reviews', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const sort = REVIEW_SORTS[req.query.sort || 'newest'];
+    if (!sort) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    const filter = { product: req.params.id, status: 'visible' };
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(filter)
+        .select('-reports -moderatedBy -moderationNote')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name'),
+      Review.countDocuments(filter),
+      ratingSummary(req.params.id)
+    ]);
+
+    res.json({
+      summary,
+      count: reviews.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      reviews
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/products/:id/reviews', auth, validateReview(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+  }
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product || product.isArchived) return res.status(404).json({ message: 'Product not found' });
+
+    const order = await findVerifiedPurchase(req.user._id, product._id);
+    if (!order) {
+      return res.status(403).json({ message: 'Only customers who received this product can review it' });
+    }
+
+    const existing = await Review.exists({ product: product._id, user: req.user._id });
+    if (existing) {
+      return res.status(409).json({ message: 'You have already reviewed this product', review: existing._id });
+    }
+
+    const { rating, title, text } = req.body;
+    const review = await Review.create({
+      product: product._id,
+      user: req.user._id,
+      order: order._id,
+      rating,
+      title,
+      text
+    });
+
+    await refreshProductRating(product._id);
+
+    res.status(201).json(publicReview(review));
+  } catch (error) {
+    // Two concurrent submissions both passed the exists check
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reviewed this product' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.put('/products/:id/reviews/:reviewId', auth, validateReview(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+  }
+
+  try {
+    const review = await findProductReview(req, res);
+    if (!review) return;
+
+    if (!review.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only edit your own review' });
+    }
+
+    ['rating', 'title', 'text'].forEach(field => {
+      if (req.body[field] !== undefined) review[field] = req.body[field];
+    });
+    review.editedAt = new Date();
+
+    await review.save();
+    await refreshProductRating(review.product);
+
+    res.json(publicReview(review));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.delete('/products/:id/reviews/:reviewId', auth, async (req, res) => {
+  try {
+    const review = await findProductReview(req, res);
+    if (!review) return;
+
+    if (!review.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only delete your own review' });
+    }
 
-    let cart = await Cart.findOne({ user: req.user._id });
+    await review.deleteOne();
+    await refreshProductRating(review.product);
 
-    if (!cart) cart = new Cart({ user: req.user._id, items: [] });
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/products/:id/reviews/:reviewId/report', auth, async (req, res) => {
+  try {
+    const review = await findProductReview(req, res);
+    if (!review) return;
 
-    const existingItem = cart.items.find(
-      item => item.product.toString() === productId
+    if (review.user.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot report your own review' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : undefined;
+
+    // One report per user; the filter makes repeat reports a no-op
+    const result = await Review.updateOne(
+      { _id: review._id, 'reports.user': { $ne: req.user._id } },
+      {
+        $push: { reports: { user: req.user._id, reason } },
+        $inc: { reportCount: 1 }
+      }
     );
 
-    if (existingItem) {
-      existingItem.quantity += quantity;
-    } else {
-      cart.items.push({ product: productId, quantity });
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: 'You have already reported this review' });
+    }
+
+    res.json({ message: 'Review reported, thank you' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Find the cart for the request: the user's cart when logged in, otherwise the guest
+ * cart named by the X-Cart-Token header
+ * @param {Request} req
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Start a new cart when none exists
+ * @returns {Promise<Cart|null>}
+ */
+const loadCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    return cart || (create ? new Cart({ user: req.user._id, items: [] }) : null);
+  }
+
+  const cart = await Cart.findByGuestToken(req.get('X-Cart-Token'));
+  if (cart || !create) return cart;
+
+  const guest = Cart.createGuest();
+  req.cartToken = guest.token;
+  return guest.cart;
+};
+
+// Populate and price the cart so every cart endpoint answers with the same shape
+const sendCart = async (req, res, cart) => {
+  await cart.populate('items.product');
+
+  // A new guest cart hands its token back once; the client sends it as X-Cart-Token from then on
+  if (req.cartToken) res.set('X-Cart-Token', req.cartToken);
+
+  res.json({
+    ...cart.toJSON(),
+    ...(req.cartToken && { cartToken: req.cartToken }),
+    summary: await summarizeCart(cart, req.user ? req.user._id : null)
+  });
+};
+
+const sendCartError = (res, error) => {
+  if (error instanceof CartError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+router.post('/cart', optionalAuth, async (req, res) => {
+  try {
+    const { productId, variantId, quantity = 1 } = req.body;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: 'A valid productId is required' });
     }
 
+    const cart = await loadCart(req, { create: true });
+
+    await addItem(cart, { productId, variantId, quantity: parseQuantity(quantity) });
     await cart.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+router.post('/cart/coupon', optionalAuth, async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+    if (!code) return res.status(400).json({ message: 'Coupon code is required' });
+
+    const cart = await loadCart(req);
+    if (!cart || cart.items.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
     await cart.populate('items.product');
+    const { lines } = buildCartLines(cart);
+    const coupon = await findCoupon(code);
+    await evaluateCoupon(coupon, { lines, subtotal: linesSubtotal(lines), userId: req.user ? req.user._id : null });
+
+    cart.coupon = coupon.code;
+    await cart.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.delete('/cart/coupon', optionalAuth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+
+    cart.coupon = undefined;
+    await cart.save();
 
-    res.json(cart);
+    await sendCart(req, res, cart);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-router.delete('/cart/:itemId', auth, async (req, res) => {
+router.delete('/cart', optionalAuth, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await loadCart(req);
+    if (!cart) return res.json({ items: [] });
 
+    cart.items = [];
+    cart.coupon = undefined;
+    await cart.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+router.delete('/cart/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
     if (!cart) return res.status(404).json({ message: 'Cart not found' });
 
-    cart.items = cart.items.filter(
-      item => item._id.toString() !== req.params.itemId
-    );
+    await setItemQuantity(cart, req.params.itemId, 0);
+    await cart.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+router.put('/cart/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity, { allowZero: true });
+
+    const cart = await loadCart(req);
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
 
+    await setItemQuantity(cart, req.params.itemId, quantity);
     await cart.save();
-    res.json(cart);
+
+    await sendCart(req, res, cart);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendCartError(res, error);
   }
 });
 
-router.put('/cart/:itemId/increase', auth, async (req, res) => {
+router.put('/cart/:itemId/increase', optionalAuth, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
+    const cart = await loadCart(req);
     if (!cart) return res.status(404).json({ message: 'Cart not found' });
 
     const item = cart.items.id(req.params.itemId);
     if (!item) return res.status(404).json({ message: 'Item not found' });
 
-    item.quantity += 1;
-
+    await setItemQuantity(cart, item._id, parseQuantity(item.quantity + 1));
     await cart.save();
-    await cart.populate('items.product');
 
-    res.json(cart);
+    await sendCart(req, res, cart);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendCartError(res, error);
   }
 });
 
-router.get('/cart', auth, async (req, res) => {
+// Decreasing the last unit removes the item
+router.put('/cart/:itemId/decrease', optionalAuth, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product');
+    const cart = await loadCart(req);
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+
+    const item = cart.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Item not found' });
+
+    await setItemQuantity(cart, item._id, item.quantity - 1);
+    await cart.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
 
+router.get('/cart', optionalAuth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
     if (!cart) return res.json({ items: [] });
 
-    res.json(cart);
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+// Cart items can only be parked on the account's wishlist, so this one needs a login
+router.post('/cart/:itemId/save-for-later', auth, async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+
+    const item = cart.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Item not found' });
+
+    const product = await Product.findById(item.product);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    let wishlist = await Wishlist.findOne({ user: req.user._id });
+    if (!wishlist) wishlist = new Wishlist({ user: req.user._id, items: [] });
+
+    saveItem(wishlist, product, { variantId: item.variant, list: 'saved', quantity: item.quantity });
+    cart.items.pull(item._id);
+
+    await wishlist.save();
+    await cart.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+const sendWishlist = async (res, wishlist, list, status = 200) => {
+  await wishlist.populate('items.product');
+  res.status(status).json({ items: formatWishlist(wishlist, list) });
+};
+
+router.get('/wishlist', auth, async (req, res) => {
+  try {
+    const { list } = req.query;
+    if (list && !WISHLIST_LISTS.includes(list)) {
+      return res.status(400).json({ message: `list must be one of: ${WISHLIST_LISTS.join(', ')}` });
+    }
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    if (!wishlist) return res.json({ items: [] });
+
+    await sendWishlist(res, wishlist, list);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-router.post('/address', auth, async (req, res) => {
+router.post('/wishlist', auth, async (req, res) => {
   try {
-    const { street, city, zipCode, country, isDefault } = req.body;
+    const { productId, variantId } = req.body;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: 'A valid productId is required' });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || product.isArchived) return res.status(404).json({ message: 'Product not found' });
 
-    if (isDefault) {
-      await Address.updateMany(
-        { user: req.user._id },
-        { isDefault: false }
-      );
+    if (variantId && !product.variants.id(variantId)) {
+      return res.status(404).json({ message: 'Variant not found' });
     }
 
+    let wishlist = await Wishlist.findOne({ user: req.user._id });
+    if (!wishlist) wishlist = new Wishlist({ user: req.user._id, items: [] });
+
+    saveItem(wishlist, product, { variantId });
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist, undefined, 201);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.delete('/wishlist/:itemId', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    const item = wishlist && wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Item not found' });
+
+    wishlist.items.pull(item._id);
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Bookmarks on products with variants need a variantId here before they can be bought
+router.post('/wishlist/:itemId/move-to-cart', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    const item = wishlist && wishlist.items.id(req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Item not found' });
+
+    const quantity = parseQuantity(req.body.quantity !== undefined ? req.body.quantity : item.quantity);
+    const cart = await loadCart(req, { create: true });
+
+    await addItem(cart, {
+      productId: item.product,
+      variantId: req.body.variantId || item.variant,
+      quantity
+    });
+    wishlist.items.pull(item._id);
+
+    await cart.save();
+    await wishlist.save();
+
+    await sendCart(req, res, cart);
+  } catch (error) {
+    sendCartError(res, error);
+  }
+});
+
+const sendAddressError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: 'Invalid address', errors: validationErrors(error) });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+const findOwnAddress = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Address.findOne({ _id: req.params.id, ...activeAddresses(req.user._id) });
+};
+
+router.post('/address', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
     const address = new Address({
-      user: req.user._id,
-      street,
-      city,
-      zipCode,
-      country,
-      isDefault: isDefault || false
+      ...pickAddressFields(req.body),
+      user: req.user._id
+    });
+    await address.validate();
+
+    await session.withTransaction(async () => {
+      await address.save({ session });
+
+      // The first address becomes the default whether or not it was asked for
+      const others = await Address.countDocuments({
+        ...activeAddresses(req.user._id),
+        _id: { $ne: address._id }
+      }).session(session);
+
+      if (req.body.isDefault === true || others === 0) {
+        await setDefaultAddress(req.user._id, address._id, session);
+        address.isDefault = true;
+      }
     });
 
-    await address.save();
     res.status(201).json(address);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendAddressError(res, error);
+  } finally {
+    await session.endSession();
   }
 });
 
 router.get('/address', auth, async (req, res) => {
   try {
-    const addresses = await Address.find({ user: req.user._id });
+    const addresses = await Address.find(activeAddresses(req.user._id))
+      .sort({ isDefault: -1, createdAt: -1 });
+
     res.json(addresses);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+router.put('/address/:id', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const address = await findOwnAddress(req);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    address.set(pickAddressFields(req.body));
+    await address.validate();
+
+    await session.withTransaction(async () => {
+      await address.save({ session });
+
+      if (req.body.isDefault === true && !address.isDefault) {
+        await setDefaultAddress(req.user._id, address._id, session);
+        address.isDefault = true;
+      }
+    });
+
+    res.json(address);
+  } catch (error) {
+    sendAddressError(res, error);
+  } finally {
+    await session.endSession();
+  }
+});
+
+router.post('/address/:id/default', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let address = await findOwnAddress(req);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    await session.withTransaction(async () => {
+      address = await setDefaultAddress(req.user._id, address._id, session);
+    });
+
+    res.json(address);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Soft delete: orders placed with this address keep pointing at it
+router.delete('/address/:id', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const address = await findOwnAddress(req);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    let newDefault = null;
+    await session.withTransaction(async () => {
+      const wasDefault = address.isDefault;
+
+      address.isDeleted = true;
+      address.deletedAt = new Date();
+      address.isDefault = false;
+      await address.save({ session, validateBeforeSave: false });
+
+      if (wasDefault) newDefault = await promoteNextDefault(req.user._id, session);
+    });
+
+    res.json({
+      message: 'Address deleted',
+      ...(newDefault && { defaultAddress: newDefault })
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
+  }
+});
+
+router.get('/shipping/quote', auth, async (req, res) => {
+  try {
+    const { addressId } = req.query;
+
+    if (!mongoose.isValidObjectId(addressId)) {
+      return res.status(400).json({ message: 'A valid addressId is required' });
+    }
+
+    const address = await Address.findOne({ _id: addressId, ...activeAddresses(req.user._id) });
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+    const { lines } = cart ? buildCartLines(cart) : { lines: [] };
+
+    if (lines.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const subtotal = linesSubtotal(lines);
+    const weight = linesWeight(lines);
+    const options = await quoteShipping({ address, subtotal, weight });
+
+    res.json({
+      subtotal,
+      weight,
+      options: options.map(option => ({
+        ...option,
+        total: roundMoney(subtotal + option.cost)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 router.post('/order', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { addressId, deliveryType = 'standard' } = req.body;
 
@@ -156,55 +818,123 @@ router.post('/order', auth, async (req, res) => {
     if (!cart || cart.items.length === 0)
       return res.status(400).json({ message: 'Cart is empty' });
 
-    const address = await Address.findById(addressId);
-    if (!address) return res.status(404).json({ message: 'Address not found' });
+    const { lines, unavailable } = buildCartLines(cart);
+
+    if (unavailable.length > 0) {
+      return res.status(409).json({ message: 'Some items in your cart are no longer available', unavailable });
+    }
+
+    const address = mongoose.isValidObjectId(addressId) ? await Address.findById(addressId) : null;
+    if (!address || address.isDeleted) return res.status(404).json({ message: 'Address not found' });
 
     if (address.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: "Not your address" });
     }
 
-    const items = cart.items.map(item => ({
-      product: item.product._id,
-      quantity: item.quantity,
-      price: item.product.price
+    const items = lines.map(line => ({
+      product: line.product,
+      ...(line.variant && { variant: line.variant }),
+      sku: line.sku,
+      name: line.name,
+      image: line.image,
+      category: line.category,
+      quantity: line.quantity,
+      price: line.price
     }));
 
-    const totalAmount = items.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
+    const subtotal = linesSubtotal(lines);
+    const shippingOptions = await quoteShipping({ address, subtotal, weight: linesWeight(lines) });
+    const shipping = shippingOptions.find(option => option.deliveryType === deliveryType);
 
-    const qrText = `ORDER-${req.user._id}-${Date.now()}`;
-    const qrCode = await QRCode.toDataURL(qrText);
+    if (!shipping) {
+      return res.status(400).json({
+        message: `${deliveryType} delivery is not available for this address`,
+        available: shippingOptions.map(option => option.deliveryType)
+      });
+    }
 
-    const order = new Order({
-      user: req.user._id,
-      items,
-      totalAmount,
-      deliveryType,
-      address: addressId,
-      qrCode
-    });
+    // Stock, coupon usage, order and cart change together or not at all
+    let order;
+    await session.withTransaction(async () => {
+      let coupon;
+      let discountAmount = 0;
+      let shippingCost = shipping.cost;
+      const discounts = new Map();
 
-    await order.save();
+      // The coupon is validated again here, against the same data the order is built from
+      if (cart.coupon) {
+        const found = await findCoupon(cart.coupon, session);
+        const applied = await evaluateCoupon(found, { lines, subtotal, userId: req.user._id, session });
+        await redeemCoupon(found, session);
 
-    cart.items = [];
-    await cart.save();
+        const shippingDiscount = applied.freeShipping ? shippingCost : 0;
+        discountAmount = applied.discount;
+        shippingCost = roundMoney(shippingCost - shippingDiscount);
+        applied.breakdown.forEach(entry => discounts.set(String(entry.item), entry.discount));
+        coupon = {
+          code: applied.code,
+          type: applied.type,
+          discount: applied.discount,
+          shippingDiscount
+        };
+      }
+
+      const { taxLines, taxAmount, exclusiveTax } = await calculateTax({
+        lines,
+        address,
+        shippingCost,
+        discounts,
+        session
+      });
 
-    await order.populate('items.product');
-    await order.populate('address');
+      await reserveStock(items, session);
+
+      order = new Order({
+        user: req.user._id,
+        items,
+        subtotal,
+        shippingCost,
+        discountAmount,
+        ...(coupon && { coupon }),
+        taxLines,
+        taxAmount,
+        // Inclusive tax is already inside the prices, only exclusive tax is added
+        totalAmount: roundMoney(subtotal - discountAmount + shippingCost + exclusiveTax),
+        deliveryType,
+        address: address._id,
+        shippingAddress: {
+          street: address.street,
+          city: address.city,
+          region: address.region,
+          zipCode: address.zipCode,
+          country: address.country
+        },
+        qr: { nonce: generateQrNonce() },
+        statusHistory: [{ status: 'pending', actor: req.user._id, note: 'Order placed' }]
+      });
+
+      await order.save({ session });
+      await Cart.updateOne({ _id: cart._id }, { items: [], $unset: { coupon: 1 } }, { session });
+    });
 
     res.status(201).json(order);
   } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({ message: error.message, shortages: error.shortages });
+    }
+    if (error instanceof CouponError) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
     res.status(500).json({ message: error.message });
+  } finally {
+    await session.endSession();
   }
 });
 
 router.get('/orders', auth, async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user._id })
-      .populate('items.product')
-      .populate('address');
+    // Orders carry their own product and address snapshots, so nothing is populated here
+    const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
 
     res.json(orders);
   } catch (error) {
@@ -212,4 +942,159 @@ router.get('/orders', auth, async (req, res) => {
   }
 });
 
+router.get('/orders/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('statusHistory.actor', 'name role')
+      .populate('courier', 'name')
+      .populate('trackingEvents.actor', 'name');
+
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/orders/:id/qr', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const format = req.query.format || 'png';
+    if (!['png', 'svg'].includes(format)) {
+      return res.status(400).json({ message: 'format must be png or svg' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id }).select('+qr.nonce');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ message: 'Cancelled orders have no handover code' });
+    }
+
+    // Orders placed before signed QR codes existed get their nonce on first request
+    if (!order.qr || !order.qr.nonce) {
+      order.set('qr.nonce', generateQrNonce());
+      await order.save();
+    }
+
+    const token = createQrToken(order);
+
+    if (format === 'svg') {
+      res.type('image/svg+xml');
+      return res.send(await QRCode.toString(token, { type: 'svg' }));
+    }
+
+    res.type('image/png');
+    res.send(await QRCode.toBuffer(token, { type: 'png' }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/orders/:id/cancel', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await transitionOrder(req.params.id, 'cancelled', {
+      actor: req.user._id,
+      note: req.body.reason || 'Cancelled by customer',
+      filter: { user: req.user._id },
+      from: ['pending']
+    });
+
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json(order);
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({ message: 'Only pending orders can be cancelled', status: error.from });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const intentResponse = (order) => ({
+  orderId: order._id,
+  provider: order.paymentProvider,
+  intentId: order.paymentIntentId,
+  clientSecret: order.paymentClientSecret,
+  amount: order.totalAmount,
+  currency: order.paymentCurrency
+});
+
+router.post('/orders/:id/pay', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id }).select('+paymentClientSecret');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    if (order.status !== 'pending') {
+      return res.status(409).json({ message: 'Only pending orders can be paid' });
+    }
+
+    if (!['unpaid', 'requires_payment', 'failed'].includes(order.paymentStatus)) {
+      return res.status(409).json({ message: 'Order is already paid', paymentStatus: order.paymentStatus });
+    }
+
+    // Webhooks are matched on paymentIntentId, so an open intent must not be replaced
+    if (order.paymentStatus === 'requires_payment' && order.paymentIntentId) {
+      return res.json(intentResponse(order));
+    }
+
+    const provider = getProvider();
+    if (!provider) return res.status(500).json({ message: 'Payment provider is not configured' });
+
+    const intent = await provider.createIntent({
+      amount: order.totalAmount,
+      currency: process.env.PAYMENT_CURRENCY || 'USD',
+      orderId: order._id
+    });
+
+    // Only one of two concurrent requests may attach its intent
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: order.paymentStatus, paymentIntentId: order.paymentIntentId || null },
+      {
+        paymentProvider: provider.name,
+        paymentIntentId: intent.id,
+        paymentClientSecret: intent.clientSecret,
+        paymentCurrency: intent.currency,
+        paymentStatus: 'requires_payment',
+        $push: {
+          transactions: {
+            type: 'intent',
+            provider: provider.name,
+            reference: intent.id,
+            amount: intent.amount,
+            status: intent.status
+          }
+        }
+      },
+      { new: true }
+    ).select('+paymentClientSecret');
+
+    if (!updated) {
+      const current = await Order.findById(order._id).select('+paymentClientSecret');
+      if (current.paymentStatus === 'requires_payment') return res.json(intentResponse(current));
+      return res.status(409).json({ message: 'Order payment changed, please retry', paymentStatus: current.paymentStatus });
+    }
+
+    res.status(201).json(intentResponse(updated));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const { auth, courierAuth } = require('../middleware/auth');
+const { InvalidTransitionError, transitionOrder } = require('../utils/orderStatus');
+
+const TRACKING_EVENT_TYPES = ['picked_up', 'in_transit', 'failed_attempt', 'delivered'];
+
+router.use(auth, courierAuth);
+
+router.get('/assignments', async (req, res) => {
+  try {
+    // Open deliveries by default, ?status=all includes finished ones
+    const filter = { courier: req.user._id };
+    if (req.query.status !== 'all') filter.status = 'shipped';
+
+    // Deliver to order.shippingAddress, the address as it was when the order was placed
+    const orders = await Order.find(filter)
+      .sort({ assignedAt: 1 })
+      .populate('user', 'name email');
+
+    res.json(orders);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/assignments/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, courier: req.user._id })
+      .populate('user', 'name email');
+
+    if (!order) return res.status(404).json({ message: 'Assignment not found' });
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/assignments/:id/events', async (req, res) => {
+  try {
+    const { type, location, note } = req.body;
+
+    if (!TRACKING_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${TRACKING_EVENT_TYPES.join(', ')}` });
+    }
+
+    if (location !== undefined && (
+      typeof location !== 'object' || location === null ||
+      (location.lat !== undefined && (isNaN(location.lat) || Math.abs(location.lat) > 90)) ||
+      (location.lng !== undefined && (isNaN(location.lng) || Math.abs(location.lng) > 180))
+    )) {
+      return res.status(400).json({ message: 'location must be { lat, lng, description } with valid coordinates' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const event = {
+      type,
+      ...(location && {
+        location: {
+          lat: location.lat,
+          lng: location.lng,
+          description: location.description
+        }
+      }),
+      note,
+      actor: req.user._id
+    };
+
+    const filter = { courier: req.user._id };
+    let order;
+
+    if (type === 'delivered') {
+      order = await transitionOrder(req.params.id, 'delivered', {
+        actor: req.user._id,
+        note: note || 'Delivered by courier',
+        filter,
+        from: ['shipped'],
+        push: { trackingEvents: event }
+      });
+    } else {
+      order = await Order.findOneAndUpdate(
+        { _id: req.params.id, ...filter, status: 'shipped' },
+        { $push: { trackingEvents: event } },
+        { new: true }
+      );
+
+      if (!order && await Order.exists({ _id: req.params.id, ...filter })) {
+        return res.status(409).json({ message: 'Tracking events can only be added to shipped orders' });
+      }
+    }
+
+    if (!order) return res.status(404).json({ message: 'Assignment not found' });
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({ message: 'Only shipped orders can be marked as delivered', status: error.from });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+
+const Order = require('../models/Order');
+const { getProvider } = require('../utils/payments');
+const { applyPaymentEvent } = require('../utils/payments/events');
+
+const handleWebhook = async (provider, rawBody, signature) => {
+  if (!provider.verifyWebhookSignature(rawBody, signature)) {
+    return { status: 400, body: { message: 'Invalid webhook signature' } };
+  }
+
+  const event = provider.parseEvent(rawBody);
+  const { handled, order, amountMismatch } = await applyPaymentEvent(provider.name, event);
+
+  return {
+    status: 200,
+    body: {
+      received: true,
+      handled,
+      ...(amountMismatch && { amountMismatch }),
+      ...(order && { orderId: order._id, paymentStatus: order.paymentStatus, status: order.status })
+    }
+  };
+};
+
+// Relies on express.json() keeping the raw body (see server.js), signatures cover the exact bytes
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) return res.status(404).json({ message: 'Unknown payment provider' });
+
+    const result = await handleWebhook(provider, req.rawBody, req.get(provider.signatureHeader));
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Lets developers complete a mock payment without an external gateway
+router.post('/mock/:intentId/:outcome', async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const outcomes = { succeeded: 'payment.succeeded', authorized: 'payment.authorized', failed: 'payment.failed' };
+    const type = outcomes[req.params.outcome];
+    if (!type) {
+      return res.status(400).json({ message: `Outcome must be one of: ${Object.keys(outcomes).join(', ')}` });
+    }
+
+    const provider = getProvider('mock');
+    if (!provider) return res.status(404).json({ message: 'Not found' });
+
+    // Defaults to the order total; any other amount is flagged like a real mismatched webhook
+    let { amount } = req.body;
+    if (amount === undefined) {
+      const order = await Order.findOne({ paymentProvider: provider.name, paymentIntentId: req.params.intentId })
+        .select('totalAmount');
+      if (!order) return res.status(404).json({ message: 'Payment intent not found' });
+      amount = order.totalAmount;
+    } else if (typeof amount !== 'number' || amount < 0) {
+      return res.status(400).json({ message: 'amount must be a non-negative number' });
+    }
+
+    const { body, signature } = provider.createSignedEvent(type, {
+      intentId: req.params.intentId,
+      amount
+    });
+
+    const result = await handleWebhook(provider, Buffer.from(body), signature);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// Prepares existing addresses for the one-default-per-user index: keeps only the most
+// recently updated default per user and upper-cases country codes, then builds the indexes.
+// Safe to run more than once: npm run migrate:addresses
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Address = require('../models/Address');
+const { isKnownCountry } = require('../config/countries');
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/EXAM';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 10000 });
+
+  const duplicates = await Address.aggregate([
+    { $match: { isDefault: true } },
+    { $sort: { updatedAt: -1 } },
+    { $group: { _id: '$user', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]);
+
+  let cleared = 0;
+  for (const { ids } of duplicates) {
+    const result = await Address.updateMany({ _id: { $in: ids.slice(1) } }, { isDefault: false });
+    cleared += result.modifiedCount;
+  }
+
+  // Raw collection access so the normalizing setter does not hide the stored value
+  const countries = await Address.collection.distinct('country');
+  const unknown = [];
+  for (const country of countries) {
+    const code = String(country).trim().toUpperCase();
+    if (code !== country && isKnownCountry(code)) {
+      await Address.collection.updateMany({ country }, { $set: { country: code } });
+    } else if (!isKnownCountry(code)) {
+      unknown.push(country);
+    }
+  }
+
+  await Address.createIndexes();
+
+  console.log(`✅ Cleared ${cleared} duplicate default address(es)`);
+  if (unknown.length > 0) {
+    console.log(`⚠️  Addresses with unknown countries need fixing by hand: ${unknown.join(', ')}`);
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Address migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
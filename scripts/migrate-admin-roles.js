@@ -0,0 +1,40 @@
+// Creates the full-permission system role and assigns it to every admin without a role.
+// Safe to run more than once: npm run migrate:roles
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { ALL_PERMISSIONS, SUPER_ADMIN_ROLE } = require('../config/permissions');
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/EXAM';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 10000 });
+
+  const role = await Role.findOneAndUpdate(
+    { name: SUPER_ADMIN_ROLE },
+    {
+      $setOnInsert: {
+        name: SUPER_ADMIN_ROLE,
+        description: 'Full access, assigned to admins that existed before roles were introduced',
+        isSystem: true
+      },
+      $set: { permissions: [ALL_PERMISSIONS] }
+    },
+    { upsert: true, new: true }
+  );
+
+  const result = await User.updateMany(
+    { role: 'admin', adminRole: { $exists: false } },
+    { adminRole: role._id }
+  );
+
+  console.log(`✅ Role "${role.name}" ready, assigned to ${result.modifiedCount} admin(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Role migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
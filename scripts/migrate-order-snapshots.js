@@ -0,0 +1,61 @@
+// Copies product details onto the items of orders placed before they were snapshotted,
+// and embeds the shipping address. Products or addresses that no longer exist are skipped.
+// Safe to run more than once: npm run migrate:orders
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Address = require('../models/Address');
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/EXAM';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 10000 });
+
+  const cursor = Order.find({
+    $or: [{ 'items.name': { $exists: false } }, { shippingAddress: { $exists: false } }]
+  }).cursor();
+
+  let updated = 0;
+  for await (const order of cursor) {
+    for (const item of order.items) {
+      if (item.name) continue;
+
+      const product = await Product.findById(item.product);
+      if (!product) continue;
+
+      const variant = item.variant ? product.variants.id(item.variant) : null;
+      item.name = product.name;
+      item.image = (variant && variant.image) || product.image;
+      item.category = product.category;
+      if (!item.sku) item.sku = variant ? variant.sku : product.sku;
+    }
+
+    if (!order.shippingAddress || !order.shippingAddress.street) {
+      const address = await Address.findById(order.address);
+      if (address) {
+        order.shippingAddress = {
+          street: address.street,
+          city: address.city,
+          region: address.region,
+          zipCode: address.zipCode,
+          country: address.country
+        };
+      }
+    }
+
+    if (order.isModified()) {
+      await order.save({ validateBeforeSave: false });
+      updated += 1;
+    }
+  }
+
+  console.log(`✅ Backfilled snapshots on ${updated} order(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Order snapshot migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,7 +8,12 @@ const app = express();
 
 connectDB();
 
-app.use(express.json());
+// Keep the raw bytes around for payment webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 const swaggerOptions = {
   definition: {
@@ -43,10 +48,14 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 const authRoutes = require('./routes/auth');
 const clientRoutes = require('./routes/client');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const courierRoutes = require('./routes/courier');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/client', clientRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/courier', courierRoutes);
 
 app.get('/', (req, res) => {
   res.json({ message: 'EXAM API is running' });
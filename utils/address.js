@@ -0,0 +1,61 @@
+const Address = require('../models/Address');
+
+// Fields a customer may set; user, isDefault and the deletion flags are managed by the routes
+const ADDRESS_FIELDS = ['street', 'city', 'region', 'zipCode', 'country'];
+
+const pickAddressFields = (body) => ADDRESS_FIELDS.reduce((picked, field) => {
+  if (body[field] !== undefined) picked[field] = body[field];
+  return picked;
+}, {});
+
+// Addresses still shown in the user's address book
+const activeAddresses = (userId) => ({ user: userId, isDeleted: { $ne: true } });
+
+/**
+ * Make an address the user's only default. Run inside a transaction so the old
+ * default is cleared and the new one set together; the partial unique index on
+ * { user, isDefault } rejects any interleaving that would leave two defaults.
+ * @param {ObjectId} userId
+ * @param {ObjectId} addressId
+ * @param {ClientSession} session
+ * @returns {Promise<Address|null>} The new default, or null if the address is not the user's
+ */
+const setDefaultAddress = async (userId, addressId, session) => {
+  await Address.updateMany(
+    { user: userId, isDefault: true, _id: { $ne: addressId } },
+    { isDefault: false },
+    { session }
+  );
+
+  return Address.findOneAndUpdate(
+    { _id: addressId, ...activeAddresses(userId) },
+    { isDefault: true },
+    { new: true, session }
+  );
+};
+
+/**
+ * Hand the default over to the most recently added remaining address, if any
+ * @returns {Promise<Address|null>}
+ */
+const promoteNextDefault = async (userId, session) => {
+  const next = await Address.findOne({ ...activeAddresses(userId), isDefault: { $ne: true } })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  return next ? setDefaultAddress(userId, next._id, session) : null;
+};
+
+// Mongoose validation errors as { field: message } for a 400 response
+const validationErrors = (error) => Object.fromEntries(
+  Object.entries(error.errors).map(([field, err]) => [field, err.message])
+);
+
+module.exports = {
+  ADDRESS_FIELDS,
+  pickAddressFields,
+  activeAddresses,
+  setDefaultAddress,
+  promoteNextDefault,
+  validationErrors
+};
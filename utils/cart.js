@@ -0,0 +1,177 @@
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+
+const MAX_LINE_QUANTITY = parseInt(process.env.CART_MAX_LINE_QUANTITY, 10) || 99;
+
+class CartError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Validate a requested quantity; strings and fractions are rejected rather than coerced
+ * @param {*} value - Raw value from the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.allowZero=false] - Accept 0 (used to remove a line)
+ * @returns {number}
+ */
+const parseQuantity = (value, { allowZero = false } = {}) => {
+  const min = allowZero ? 0 : 1;
+
+  if (!Number.isInteger(value) || value < min || value > MAX_LINE_QUANTITY) {
+    throw new CartError(`Quantity must be an integer between ${min} and ${MAX_LINE_QUANTITY}`);
+  }
+
+  return value;
+};
+
+/**
+ * Load a purchasable product line
+ * @returns {Promise<{ product: Product, line: Object }>}
+ */
+const loadLine = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.isArchived) throw new CartError('Product not found', 404);
+
+  const line = product.resolveVariant(variantId);
+  if (!line) throw new CartError('Please select a valid variant', variantId ? 404 : 400);
+
+  return { product, line };
+};
+
+const assertStock = (requested, line) => {
+  if (requested > line.stock) {
+    throw new CartError('Not enough stock', 409, { requested, available: line.stock });
+  }
+};
+
+const findItem = (cart, productId, variantId) => cart.items.find(
+  item => item.product.toString() === productId.toString() &&
+    (item.variant ? item.variant.toString() : '') === (variantId ? variantId.toString() : '')
+);
+
+/**
+ * Add a product (or more of it) to the cart, checking the combined quantity against stock
+ * @param {Cart} cart
+ * @param {Object} input - { productId, variantId, quantity }
+ * @returns {Promise<Object>} The cart item that was added or updated
+ */
+const addItem = async (cart, { productId, variantId, quantity }) => {
+  const { product, line } = await loadLine(productId, variantId);
+  const lineVariant = line.variant ? line.variant._id : null;
+  const existing = findItem(cart, product._id, lineVariant);
+
+  const requested = (existing ? existing.quantity : 0) + quantity;
+  if (requested > MAX_LINE_QUANTITY) {
+    throw new CartError(`At most ${MAX_LINE_QUANTITY} of one item per order`);
+  }
+  assertStock(requested, line);
+
+  if (existing) {
+    existing.quantity = requested;
+    return existing;
+  }
+
+  cart.items.push({
+    product: product._id,
+    ...(lineVariant && { variant: lineVariant }),
+    quantity,
+    priceAtAdd: line.price
+  });
+  return cart.items[cart.items.length - 1];
+};
+
+/**
+ * Set a cart item to an exact quantity; 0 removes it
+ * @param {Cart} cart
+ * @param {string} itemId
+ * @param {number} quantity - Already validated with parseQuantity({ allowZero: true })
+ */
+const setItemQuantity = async (cart, itemId, quantity) => {
+  const item = cart.items.id(itemId);
+  if (!item) throw new CartError('Item not found', 404);
+
+  if (quantity === 0) {
+    cart.items.pull(item._id);
+    return null;
+  }
+
+  // Lowering a quantity is always allowed, even if the product has since gone away
+  if (quantity > item.quantity) {
+    const { line } = await loadLine(item.product, item.variant);
+    assertStock(quantity, line);
+  }
+
+  item.quantity = quantity;
+  return item;
+};
+
+/**
+ * Move the items of a guest cart into a user's cart. Quantities of matching lines are
+ * summed and capped at the current stock; lines that can no longer be bought are dropped.
+ * @param {ObjectId} userId
+ * @param {string} guestToken - Cart token the guest client stored
+ * @returns {Promise<Object|null>} Merge report, or null when there is no such guest cart
+ */
+const mergeGuestCart = async (userId, guestToken) => {
+  const guestCart = await Cart.findByGuestToken(guestToken);
+  if (!guestCart) return null;
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) cart = new Cart({ user: userId, items: [] });
+
+  const merged = [];
+  const adjusted = [];
+  const dropped = [];
+
+  for (const guestItem of guestCart.items) {
+    const product = await Product.findById(guestItem.product);
+    const line = product && !product.isArchived ? product.resolveVariant(guestItem.variant) : null;
+
+    if (!line || line.stock <= 0) {
+      dropped.push({ product: guestItem.product, variant: guestItem.variant, quantity: guestItem.quantity });
+      continue;
+    }
+
+    const existing = findItem(cart, guestItem.product, guestItem.variant);
+    const requested = (existing ? existing.quantity : 0) + guestItem.quantity;
+    const quantity = Math.min(requested, line.stock, MAX_LINE_QUANTITY);
+
+    if (quantity < requested) {
+      adjusted.push({ product: product._id, name: product.name, requested, quantity });
+    }
+
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      cart.items.push({
+        product: product._id,
+        ...(guestItem.variant && { variant: guestItem.variant }),
+        quantity,
+        priceAtAdd: guestItem.priceAtAdd !== undefined ? guestItem.priceAtAdd : line.price
+      });
+    }
+    merged.push(product._id);
+  }
+
+  // The user's own coupon wins; otherwise keep the one applied as a guest
+  if (!cart.coupon && guestCart.coupon) cart.coupon = guestCart.coupon;
+
+  await cart.save();
+  await Cart.deleteOne({ _id: guestCart._id });
+
+  return { cart: cart._id, merged: merged.length, adjusted, dropped };
+};
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  CartError,
+  parseQuantity,
+  addItem,
+  setItemQuantity,
+  mergeGuestCart
+};
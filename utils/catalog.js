@@ -0,0 +1,186 @@
+const { parsePagination } = require('./pagination');
+
+// Upper bounds are exclusive; anything above the last boundary lands in the "500+" bucket
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500];
+
+const CATALOG_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price: { priceMin: 1, _id: 1 },
+  '-price': { priceMax: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  '-name': { name: -1, _id: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1, _id: -1 }
+};
+
+// Cheapest and most expensive purchasable price, taking variant overrides into account
+const variantPrice = (accumulator) => ({
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+    { [accumulator]: { $map: { input: '$variants', as: 'v', in: { $ifNull: ['$$v.price', '$price'] } } } },
+    '$price'
+  ]
+});
+
+const PRICE_FIELDS = {
+  priceMin: variantPrice('$min'),
+  priceMax: variantPrice('$max')
+};
+
+class CatalogQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogQueryError';
+  }
+}
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+
+  const number = Number(value);
+  if (isNaN(number) || number < 0) {
+    throw new CatalogQueryError(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+/**
+ * Turn storefront query parameters into catalog filters
+ * @param {Object} query - req.query
+ * @returns {Object} Parsed filters, sort and pagination
+ * @throws {CatalogQueryError} On invalid parameters
+ */
+const parseCatalogQuery = (query) => {
+  const minPrice = parseNumber(query.minPrice, 'minPrice');
+  const maxPrice = parseNumber(query.maxPrice, 'maxPrice');
+
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new CatalogQueryError('minPrice cannot be greater than maxPrice');
+  }
+
+  if (query.sort && !CATALOG_SORTS[query.sort]) {
+    throw new CatalogQueryError(`sort must be one of: ${Object.keys(CATALOG_SORTS).join(', ')}`);
+  }
+
+  return {
+    categories: query.category ? String(query.category).split(',').map(c => c.trim()).filter(Boolean) : [],
+    minPrice,
+    maxPrice,
+    inStock: query.inStock === 'true' || query.inStock === '1',
+    sort: query.sort || 'newest',
+    ...parsePagination(query)
+  };
+};
+
+/**
+ * Build a single aggregation returning a page of products, the total and facet counts.
+ * Each facet ignores its own filter so shoppers can see what else is available.
+ * @param {Object} filters - Output of parseCatalogQuery
+ * @param {Object} [options]
+ * @param {Object} [options.match] - Base conditions applied before everything else
+ * @param {Object} [options.sort] - Sort stage overriding the requested sort
+ * @param {Object} [options.project] - Extra fields to add to each result
+ * @returns {Array} Aggregation pipeline
+ */
+const buildCatalogPipeline = (filters, { match = {}, sort, project } = {}) => {
+  const base = { ...match, isArchived: { $ne: true } };
+  if (filters.inStock) base.stock = { $gt: 0 };
+
+  const categoryMatch = filters.categories.length > 0
+    ? { category: { $in: filters.categories } }
+    : {};
+
+  // A product matches when any of its variant prices falls inside the range
+  const priceMatch = {};
+  if (filters.minPrice !== undefined) priceMatch.priceMax = { $gte: filters.minPrice };
+  if (filters.maxPrice !== undefined) priceMatch.priceMin = { $lte: filters.maxPrice };
+
+  return [
+    { $match: base },
+    { $addFields: { ...PRICE_FIELDS, ...project } },
+    {
+      $facet: {
+        products: [
+          { $match: { ...categoryMatch, ...priceMatch } },
+          { $sort: sort || CATALOG_SORTS[filters.sort] },
+          { $skip: filters.skip },
+          { $limit: filters.limit }
+        ],
+        total: [
+          { $match: { ...categoryMatch, ...priceMatch } },
+          { $count: 'count' }
+        ],
+        categories: [
+          { $match: priceMatch },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $project: { _id: 0, category: '$_id', count: 1 } }
+        ],
+        priceRanges: [
+          { $match: categoryMatch },
+          {
+            $bucket: {
+              groupBy: '$priceMin',
+              boundaries: PRICE_BUCKETS,
+              default: 'over',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ];
+};
+
+/**
+ * Collect the option values that are still in stock, e.g. { size: ['S', 'M'], color: ['Red'] }
+ * @param {Object} product - Plain product object from an aggregation
+ * @returns {Object} Option name to list of values
+ */
+const summarizeOptions = (product) => {
+  const options = {};
+
+  (product.variants || [])
+    .filter(variant => variant.stock > 0)
+    .forEach(variant => {
+      Object.entries(variant.options || {}).forEach(([name, value]) => {
+        options[name] = options[name] || [];
+        if (!options[name].includes(value)) options[name].push(value);
+      });
+    });
+
+  return options;
+};
+
+// Shape the raw $facet output into the API response
+const formatCatalogResult = ([result], filters) => {
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    products: result.products.map(({ priceMin, priceMax, ...product }) => ({
+      ...product,
+      priceRange: { min: priceMin, max: priceMax },
+      options: summarizeOptions(product)
+    })),
+    total,
+    page: filters.page,
+    pages: Math.ceil(total / filters.limit),
+    facets: {
+      categories: result.categories,
+      priceRanges: result.priceRanges.map(bucket => {
+        const index = PRICE_BUCKETS.indexOf(bucket._id);
+        return bucket._id === 'over'
+          ? { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count }
+          : { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+      })
+    }
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  summarizeOptions,
+  CatalogQueryError,
+  parseCatalogQuery,
+  buildCatalogPipeline,
+  formatCatalogResult
+};
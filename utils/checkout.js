@@ -0,0 +1,113 @@
+const { roundMoney } = require('./money');
+const { CouponError, findCoupon, evaluateCoupon } = require('./coupons');
+
+/**
+ * Resolve a populated cart into priced lines and report the items that cannot be bought
+ * @param {Cart} cart - Cart with items.product populated
+ * @returns {{ lines: Object[], unavailable: Object[] }}
+ */
+const buildCartLines = (cart) => {
+  const lines = [];
+  const unavailable = [];
+
+  cart.items.forEach(item => {
+    const product = item.product;
+    const resolved = product && !product.isArchived ? product.resolveVariant(item.variant) : null;
+
+    if (!resolved) {
+      unavailable.push({
+        item: item._id,
+        product: product ? product._id : null,
+        ...(product && { name: product.name }),
+        quantity: item.quantity,
+        reason: !product || product.isArchived ? 'product_unavailable' : 'variant_unavailable'
+      });
+      return;
+    }
+
+    lines.push({
+      item: item._id,
+      product: product._id,
+      ...(resolved.variant && { variant: resolved.variant._id }),
+      sku: resolved.sku,
+      name: product.name,
+      image: (resolved.variant && resolved.variant.image) || product.image,
+      category: product.category,
+      quantity: item.quantity,
+      price: resolved.price,
+      priceAtAdd: item.priceAtAdd,
+      stock: resolved.stock,
+      weight: product.weight || 0
+    });
+  });
+
+  return { lines, unavailable };
+};
+
+const linesSubtotal = (lines) => roundMoney(
+  lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+);
+
+const linesWeight = (lines) => lines.reduce((sum, line) => sum + line.weight * line.quantity, 0);
+
+/**
+ * Price a populated cart for display, including the applied coupon if it still holds
+ * @param {Cart} cart - Cart with items.product populated
+ * @param {ObjectId} userId - Cart owner, used for per-user coupon limits
+ * @returns {Promise<Object>} Totals, coupon breakdown and anything that needs attention before checkout
+ */
+const summarizeCart = async (cart, userId) => {
+  const { lines, unavailable } = buildCartLines(cart);
+  const subtotal = linesSubtotal(lines);
+
+  let coupon = null;
+  let couponError = null;
+
+  if (cart.coupon && lines.length > 0) {
+    try {
+      const found = await findCoupon(cart.coupon);
+      coupon = await evaluateCoupon(found, { lines, subtotal, userId });
+    } catch (error) {
+      if (!(error instanceof CouponError)) throw error;
+      couponError = { code: error.code, message: error.message };
+    }
+  }
+
+  const discount = coupon ? coupon.discount : 0;
+
+  // Items added before priceAtAdd existed have nothing to compare against
+  const priceChanges = lines
+    .filter(line => line.priceAtAdd !== undefined && line.priceAtAdd !== null && line.priceAtAdd !== line.price)
+    .map(line => ({
+      item: line.item,
+      product: line.product,
+      name: line.name,
+      previousPrice: line.priceAtAdd,
+      price: line.price
+    }));
+
+  const stockIssues = lines
+    .filter(line => line.quantity > line.stock)
+    .map(line => ({
+      item: line.item,
+      product: line.product,
+      name: line.name,
+      requested: line.quantity,
+      available: line.stock
+    }));
+
+  return {
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal,
+    discount,
+    total: roundMoney(subtotal - discount),
+    coupon,
+    ...(couponError && { couponError }),
+    unavailable,
+    priceChanges,
+    stockIssues,
+    canCheckout: lines.length > 0 && unavailable.length === 0 && stockIssues.length === 0
+  };
+};
+
+module.exports = { buildCartLines, linesSubtotal, linesWeight, summarizeCart };
@@ -0,0 +1,192 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { roundMoney } = require('./money');
+
+class CouponError extends Error {
+  constructor(message, code = 'COUPON_INVALID') {
+    super(message);
+    this.name = 'CouponError';
+    this.code = code;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const isEligible = (coupon, line) => {
+  const productScoped = coupon.products.length > 0;
+  const categoryScoped = coupon.categories.length > 0;
+
+  if (!productScoped && !categoryScoped) return true;
+
+  return (productScoped && coupon.products.some(id => id.equals(line.product))) ||
+    (categoryScoped && coupon.categories.includes(line.category));
+};
+
+// Spread an amount over lines in proportion to their value; the last line absorbs rounding
+const distribute = (amount, lines) => {
+  const total = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  let remaining = roundMoney(amount);
+
+  return lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? remaining
+      : roundMoney(amount * (line.price * line.quantity) / total);
+    remaining = roundMoney(remaining - share);
+    return { line, discount: share };
+  });
+};
+
+// Every group of buy + get units (most expensive first) gets its cheapest `get` units free
+const buyXGetYDiscounts = (coupon, lines) => {
+  const units = [];
+  lines.forEach(line => {
+    for (let i = 0; i < line.quantity; i++) units.push(line);
+  });
+  units.sort((a, b) => b.price - a.price);
+
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  const discounts = new Map();
+
+  for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+    units.slice(start + coupon.buyQuantity, start + groupSize).forEach(line => {
+      discounts.set(line, (discounts.get(line) || 0) + line.price);
+    });
+  }
+
+  return lines.map(line => ({ line, discount: roundMoney(discounts.get(line) || 0) }));
+};
+
+/**
+ * Load a coupon by code
+ * @param {string} code - Code as typed by the customer
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Coupon>}
+ * @throws {CouponError} When the code does not exist
+ */
+const findCoupon = async (code, session = null) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(session);
+  if (!coupon) {
+    throw new CouponError('Coupon code not found', 'COUPON_NOT_FOUND');
+  }
+  return coupon;
+};
+
+/**
+ * Check a coupon against the cart and work out the discount
+ * @param {Coupon} coupon - Coupon document
+ * @param {Object} params
+ * @param {Object[]} params.lines - Priced cart lines from buildCartLines
+ * @param {number} params.subtotal - Cart subtotal
+ * @param {ObjectId} params.userId - Customer the coupon is applied for
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object>} code, type, discount, freeShipping and a per-line breakdown
+ * @throws {CouponError} When the coupon cannot be used for this cart
+ */
+const evaluateCoupon = async (coupon, { lines, subtotal, userId, session = null }) => {
+  const now = new Date();
+
+  if (!coupon.isActive) {
+    throw new CouponError('This coupon is no longer active', 'COUPON_INACTIVE');
+  }
+
+  if ((coupon.startsAt && coupon.startsAt > now) || (coupon.endsAt && coupon.endsAt < now)) {
+    throw new CouponError('This coupon is not valid at this time', 'COUPON_EXPIRED');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError('This coupon has reached its usage limit', 'COUPON_USAGE_LIMIT');
+  }
+
+  if (coupon.usageLimitPerUser) {
+    const used = await Order.countDocuments({
+      user: userId,
+      'coupon.code': coupon.code,
+      status: { $ne: 'cancelled' }
+    }).session(session);
+
+    if (used >= coupon.usageLimitPerUser) {
+      throw new CouponError('You have already used this coupon', 'COUPON_USER_LIMIT');
+    }
+  }
+
+  if (subtotal < coupon.minOrderValue) {
+    throw new CouponError(
+      `This coupon requires a minimum order of ${coupon.minOrderValue}`,
+      'COUPON_MIN_ORDER'
+    );
+  }
+
+  const eligible = lines.filter(line => isEligible(coupon, line));
+  if (eligible.length === 0) {
+    throw new CouponError('This coupon does not apply to any item in your cart', 'COUPON_NOT_APPLICABLE');
+  }
+
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  let shares = [];
+
+  if (coupon.type === 'percentage') {
+    let amount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount) amount = Math.min(amount, coupon.maxDiscount);
+    shares = distribute(amount, eligible);
+  } else if (coupon.type === 'fixed') {
+    shares = distribute(Math.min(coupon.value, eligibleSubtotal), eligible);
+  } else if (coupon.type === 'buy_x_get_y') {
+    shares = buyXGetYDiscounts(coupon, eligible);
+  }
+
+  const breakdown = shares
+    .filter(share => share.discount > 0)
+    .map(({ line, discount }) => ({
+      item: line.item,
+      product: line.product,
+      name: line.name,
+      discount
+    }));
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    description: coupon.description,
+    eligibleSubtotal,
+    discount: roundMoney(breakdown.reduce((sum, entry) => sum + entry.discount, 0)),
+    freeShipping: coupon.type === 'free_shipping',
+    breakdown
+  };
+};
+
+/**
+ * Count a redemption, failing if the global limit was reached in the meantime
+ * @param {Coupon} coupon - Coupon being redeemed
+ * @param {ClientSession} session - Transaction session
+ * @throws {CouponError} When the usage limit is exhausted
+ */
+const redeemCoupon = async (coupon, session) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      ...(coupon.usageLimit && { usedCount: { $lt: coupon.usageLimit } })
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new CouponError('This coupon has reached its usage limit', 'COUPON_USAGE_LIMIT');
+  }
+};
+
+// Give the redemption back, e.g. when the order is cancelled
+const releaseCoupon = (code, session) => Coupon.updateOne(
+  { code: normalizeCode(code), usedCount: { $gt: 0 } },
+  { $inc: { usedCount: -1 } },
+  { session }
+);
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  findCoupon,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
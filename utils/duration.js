@@ -0,0 +1,42 @@
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// Products of plain numbers, as in LOCK_TIME=15 * 60 * 1000
+const PRODUCT_PATTERN = /^\d+(?:\.\d+)?(?:\s*\*\s*\d+(?:\.\d+)?)+$/;
+
+/**
+ * Parse a duration from the environment into milliseconds
+ * Accepts plain milliseconds ("7200000"), a number with a unit ("30s", "15m", "2h", "1d")
+ * or a product of numbers in milliseconds ("15 * 60 * 1000")
+ * @param {string|number} value - Raw duration value
+ * @param {number} fallback - Milliseconds to use when the value is missing or invalid
+ * @param {string} [name] - Setting name, used in the warning for invalid values
+ * @returns {number} Duration in milliseconds
+ */
+const parseDuration = (value, fallback, name = 'duration') => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const raw = String(value).trim();
+
+  if (PRODUCT_PATTERN.test(raw)) {
+    return Math.round(raw.split('*').reduce((product, factor) => product * parseFloat(factor), 1));
+  }
+
+  const match = raw.match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) {
+    console.warn(`⚠️  Invalid ${name} "${raw}", using the default of ${fallback}ms`);
+    return fallback;
+  }
+
+  const unit = (match[2] || 'ms').toLowerCase();
+  return Math.round(parseFloat(match[1]) * UNITS[unit]);
+};
+
+module.exports = { parseDuration };
@@ -0,0 +1,78 @@
+const Product = require('../models/Product');
+
+class InsufficientStockError extends Error {
+  constructor(shortages) {
+    super('Some items do not have enough stock');
+    this.name = 'InsufficientStockError';
+    this.shortages = shortages;
+  }
+}
+
+// Variant lines also move the product total so catalog stock filters stay correct
+const stockFilter = (item, quantity) => (item.variant
+  ? { _id: item.product, variants: { $elemMatch: { _id: item.variant, stock: { $gte: quantity } } } }
+  : { _id: item.product, stock: { $gte: quantity } });
+
+const stockUpdate = (item, delta) => (item.variant
+  ? { $inc: { 'variants.$.stock': delta, stock: delta } }
+  : { $inc: { stock: delta } });
+
+const availableStock = (product, item) => {
+  if (!product) return 0;
+  if (!item.variant) return product.stock;
+
+  const variant = product.variants.id(item.variant);
+  return variant ? variant.stock : 0;
+};
+
+/**
+ * Atomically decrement stock for every line, failing if any line is short
+ * Must run inside a transaction so earlier decrements roll back on failure
+ * @param {Array<{product: ObjectId, variant?: ObjectId, quantity: number}>} items - Lines to reserve
+ * @param {ClientSession} session - Mongoose transaction session
+ * @throws {InsufficientStockError} With one entry per short line
+ */
+const reserveStock = async (items, session) => {
+  const shortages = [];
+
+  for (const item of items) {
+    const result = await Product.updateOne(
+      stockFilter(item, item.quantity),
+      stockUpdate(item, -item.quantity),
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      const product = await Product.findById(item.product).session(session);
+      shortages.push({
+        product: item.product,
+        ...(item.variant && { variant: item.variant, sku: item.sku }),
+        name: product ? product.name : null,
+        requested: item.quantity,
+        available: availableStock(product, item)
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+};
+
+/**
+ * Put the quantities of the given lines back into stock
+ * Variants deleted since the order was placed are skipped
+ * @param {Array<{product: ObjectId, variant?: ObjectId, quantity: number}>} items - Lines to restock
+ * @param {ClientSession} session - Mongoose transaction session
+ */
+const restockItems = async (items, session) => {
+  for (const item of items) {
+    await Product.updateOne(
+      item.variant ? { _id: item.product, 'variants._id': item.variant } : { _id: item.product },
+      stockUpdate(item, item.quantity),
+      { session }
+    );
+  }
+};
+
+module.exports = { InsufficientStockError, reserveStock, restockItems };
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { promisify } = require('util');
 
 // Convert callback-based jwt functions to promise-based
@@ -8,9 +9,10 @@ const verifyToken = promisify(jwt.verify);
 /**
  * Generate JWT access token
  * @param {string} userId - User ID to include in the token
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {Promise<string>} JWT token
  */
-const generateToken = async (userId) => {
+const generateToken = async (userId, sessionId = null) => {
   try {
     if (!userId) {
       throw new Error('User ID is required');
@@ -21,7 +23,7 @@ const generateToken = async (userId) => {
     }
 
     return await signToken(
-      { userId },
+      { userId, ...(sessionId && { sid: String(sessionId) }) },
       process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
@@ -34,9 +36,10 @@ const generateToken = async (userId) => {
 /**
  * Generate JWT refresh token
  * @param {string} userId - User ID to include in the token
+ * @param {string} [sessionId] - Session the token belongs to
  * @returns {Promise<string>} JWT refresh token
  */
-const generateRefreshToken = async (userId) => {
+const generateRefreshToken = async (userId, sessionId = null) => {
   try {
     if (!userId) {
       throw new Error('User ID is required');
@@ -46,8 +49,13 @@ const generateRefreshToken = async (userId) => {
       throw new Error('JWT_REFRESH_SECRET is not defined in environment variables');
     }
 
+    // jti keeps tokens unique even when rotated twice within the same second
     return await signToken(
-      { userId },
+      {
+        userId,
+        ...(sessionId && { sid: String(sessionId) }),
+        jti: crypto.randomBytes(16).toString('hex')
+      },
       process.env.JWT_REFRESH_SECRET,
       { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
     );
@@ -98,9 +106,58 @@ const verifyJwtToken = async (token, isRefresh = false) => {
   }
 };
 
+/**
+ * Generate a short-lived challenge token for a pending login step
+ * @param {string} userId - User ID to include in the token
+ * @param {string} purpose - What the token may be exchanged for ('2fa' or '2fa-setup')
+ * @returns {Promise<string>} JWT challenge token
+ */
+const generateChallengeToken = async (userId, purpose = '2fa') => {
+  try {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not defined in environment variables');
+    }
+
+    return await signToken(
+      { userId, purpose },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+  } catch (error) {
+    console.error('Error generating challenge token:', error);
+    throw new Error('Failed to generate challenge token');
+  }
+};
+
+/**
+ * Verify a challenge token and make sure it was issued for the given purpose
+ * @param {string} token - Challenge token to verify
+ * @param {string} purpose - Expected purpose claim
+ * @returns {Promise<Object>} Decoded token payload
+ */
+const verifyChallengeToken = async (token, purpose = '2fa') => {
+  const result = await verifyJwtToken(token);
+
+  if (result.success && result.data.purpose !== purpose) {
+    return {
+      success: false,
+      error: 'Invalid challenge token',
+      code: 'INVALID_CHALLENGE_TOKEN'
+    };
+  }
+
+  return result;
+};
+
 module.exports = { 
   generateToken, 
   generateRefreshToken, 
-  verifyJwtToken 
+  generateChallengeToken,
+  verifyJwtToken,
+  verifyChallengeToken
 };
 
@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * A mail transport is any object with an async `send(message)` method.
+ * The message has `from`, `to`, `subject`, `text` and optionally `html`.
+ */
+
+/**
+ * Create a transport that writes each message as a JSON file to a local outbox directory
+ * @param {string} directory - Directory the messages are written to
+ * @returns {{ send: Function }} Mail transport
+ */
+const createOutboxTransport = (directory) => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(directory, `${id}.json`);
+
+    await fs.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2));
+    return { id, file };
+  }
+});
+
+let transport = createOutboxTransport(
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+);
+
+/**
+ * Replace the transport used by sendMail (e.g. with an SMTP or API based one)
+ * @param {{ send: Function }} nextTransport - Mail transport
+ */
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message with to, subject, text and optional html
+ * @returns {Promise<Object>} Transport specific result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Mail recipient and subject are required');
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@mezon.local',
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  });
+};
+
+module.exports = { createOutboxTransport, setTransport, sendMail };
@@ -0,0 +1,4 @@
+// Round to cents so floating point noise never reaches stored totals
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+module.exports = { roundMoney };
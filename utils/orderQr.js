@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const qrSecret = () => {
+  const secret = process.env.ORDER_QR_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ORDER_QR_SECRET is not defined in environment variables');
+  }
+  return secret;
+};
+
+const sign = (payload) => crypto
+  .createHmac('sha256', qrSecret())
+  .update(payload)
+  .digest('base64url');
+
+const generateQrNonce = () => crypto.randomBytes(16).toString('base64url');
+
+/**
+ * Build the token encoded in an order's QR code: "<orderId>.<nonce>.<signature>"
+ * @param {Order} order - Order with qr.nonce set
+ * @returns {string} Signed token
+ */
+const createQrToken = (order) => {
+  const payload = `${order._id}.${order.qr.nonce}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Check a scanned token's signature
+ * @param {string} token - Token read from the QR code
+ * @returns {{ orderId: string, nonce: string }|null} Decoded token, or null if forged or malformed
+ */
+const verifyQrToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [orderId, nonce, signature] = parts;
+  const expected = Buffer.from(sign(`${orderId}.${nonce}`));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { orderId, nonce };
+};
+
+module.exports = { generateQrNonce, createQrToken, verifyQrToken };
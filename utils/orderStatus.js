@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { restockItems } = require('./inventory');
+const { releaseCoupon } = require('./coupons');
+
+// Allowed moves for Order.status; anything not listed here is rejected
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to, message) {
+    super(message || `Cannot change order status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = ORDER_TRANSITIONS[from] || [];
+  }
+}
+
+// Payment states where money has been captured and not fully given back
+const REFUND_DUE_STATUSES = ['paid', 'partially_refunded'];
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move an order to a new status, record it in statusHistory, and on cancellation
+ * restock the items, give back the coupon redemption and mark captured payments refund_pending
+ * @param {string} orderId - Order to transition
+ * @param {string} to - Target status
+ * @param {Object} options
+ * @param {ObjectId} [options.actor] - User performing the change, unset for system changes
+ * @param {string} [options.note] - Free text stored with the history entry
+ * @param {Object} [options.filter] - Extra conditions the order must match (e.g. { user })
+ * @param {string[]} [options.from] - Restrict the statuses the order may currently be in
+ * @param {Object} [options.set] - Extra fields written in the same atomic update
+ * @param {Object} [options.push] - Extra array entries pushed in the same atomic update
+ * @returns {Promise<Order|null>} Updated order, or null if no order matched
+ * @throws {InvalidTransitionError} When the move is not allowed from the current status
+ */
+const transitionOrder = async (orderId, to, { actor, note, filter = {}, from, set = {}, push = {} } = {}) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let order;
+
+    await session.withTransaction(async () => {
+      const current = await Order.findOne({ _id: orderId, ...filter }).session(session);
+      if (!current) {
+        order = null;
+        return;
+      }
+
+      if ((from && !from.includes(current.status)) || !canTransition(current.status, to)) {
+        throw new InvalidTransitionError(current.status, to);
+      }
+
+      if (to === 'shipped' && current.paymentStatus !== 'paid') {
+        throw new InvalidTransitionError(current.status, to, 'Unpaid orders cannot be shipped');
+      }
+
+      const refundDue = to === 'cancelled' && REFUND_DUE_STATUSES.includes(current.paymentStatus);
+
+      // Conditional on the status we validated, so concurrent changes cannot both win
+      order = await Order.findOneAndUpdate(
+        { _id: current._id, status: current.status, ...filter },
+        {
+          ...set,
+          ...(refundDue && { paymentStatus: 'refund_pending' }),
+          status: to,
+          $push: {
+            ...push,
+            statusHistory: {
+              from: current.status,
+              status: to,
+              actor,
+              note
+            }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!order) {
+        throw new InvalidTransitionError(current.status, to, 'Order status changed concurrently, please retry');
+      }
+
+      if (to === 'cancelled') {
+        await restockItems(order.items, session);
+
+        if (order.coupon && order.coupon.code) {
+          await releaseCoupon(order.coupon.code, session);
+        }
+      }
+    });
+
+    return order;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  REFUND_DUE_STATUSES,
+  InvalidTransitionError,
+  canTransition,
+  transitionOrder
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Read page/limit from a query string with sane bounds
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit=20]
+ * @param {number} [options.maxLimit=100]
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Parse a sort parameter like "-createdAt" against a whitelist of fields
+ * @param {string} value - Raw sort parameter
+ * @param {string[]} allowed - Sortable field names
+ * @param {string} fallback - Sort to use when value is missing or not allowed
+ * @returns {{ field: string, direction: number }}
+ */
+const parseSort = (value, allowed, fallback) => {
+  const raw = allowed.includes(String(value).replace(/^-/, '')) ? String(value) : fallback;
+  const descending = raw.startsWith('-');
+
+  return { field: descending ? raw.slice(1) : raw, direction: descending ? -1 : 1 };
+};
+
+// Cursors carry the sort value and _id of the last document so ties are broken by _id
+const encodeCursor = (doc, field) => {
+  const value = doc[field] instanceof Date ? { $date: doc[field].toISOString() } : doc[field];
+  return Buffer.from(JSON.stringify({ v: value, id: String(doc._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    return {
+      value: v && v.$date ? new Date(v.$date) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter that selects documents after the cursor for the given sort
+ * @param {{ value: *, id: ObjectId }} cursor - Decoded cursor
+ * @param {{ field: string, direction: number }} sort - Active sort
+ * @returns {Object} MongoDB filter
+ */
+const cursorFilter = (cursor, { field, direction }) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+module.exports = {
+  parsePagination,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
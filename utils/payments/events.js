@@ -0,0 +1,119 @@
+const Order = require('../../models/Order');
+const { InvalidTransitionError, transitionOrder } = require('../orderStatus');
+const { roundMoney } = require('../money');
+
+// Events that settle the order must cover exactly what the customer was charged for
+const SETTLING_EVENTS = ['payment.succeeded', 'payment.authorized'];
+
+const amountMatches = (amount, order) => typeof amount === 'number' &&
+  roundMoney(amount) === roundMoney(order.totalAmount);
+
+/**
+ * Record a successful payment and move a pending order on to processing
+ * @param {ObjectId} orderId - Paid order
+ * @param {Object} transaction - Transaction entry to store (provider, reference, eventId, amount)
+ * @param {Object} [filter] - Extra conditions, used to make webhook handling idempotent
+ * @returns {Promise<Order|null>} Updated order, or null if nothing matched
+ */
+const markOrderPaid = async (orderId, transaction, filter = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, ...filter },
+    {
+      paymentStatus: 'paid',
+      $push: { transactions: { type: 'capture', status: 'succeeded', ...transaction } }
+    },
+    { new: true }
+  );
+
+  // Cancelled before the payment arrived: the money has to go back
+  if (order && order.status === 'cancelled') {
+    return Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: 'paid' },
+      { paymentStatus: 'refund_pending' },
+      { new: true }
+    );
+  }
+
+  if (!order || order.status !== 'pending') {
+    return order;
+  }
+
+  try {
+    return await transitionOrder(order._id, 'processing', { note: 'Payment received', from: ['pending'] });
+  } catch (error) {
+    // Cancelled while the payment was in flight; the cancellation marked it refund_pending
+    if (error instanceof InvalidTransitionError) return Order.findById(order._id);
+    throw error;
+  }
+};
+
+// Set paymentStatus only from one of the expected earlier states; stale events are not handled
+const settleStatus = async (orderId, filter, expected, paymentStatus, entry) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, ...filter, paymentStatus: { $in: expected } },
+    { paymentStatus, $push: { transactions: entry } },
+    { new: true }
+  );
+
+  return order ? { handled: true, order } : { handled: false };
+};
+
+/**
+ * Apply a verified webhook event to its order. Redelivered events are ignored.
+ * Refunds are recorded when an admin issues them, so refund events are not handled here.
+ * Success or authorization for an amount other than the order total is recorded as an
+ * amount_mismatch failure and leaves the payment status untouched.
+ * @param {string} providerName - Provider that sent the event
+ * @param {{ id: string, type: string, intentId: string, amount: number }} event - Parsed event
+ * @returns {Promise<{ handled: boolean, order?: Order, amountMismatch?: boolean }>}
+ */
+const applyPaymentEvent = async (providerName, event) => {
+  const filter = {
+    paymentProvider: providerName,
+    paymentIntentId: event.intentId,
+    'transactions.eventId': { $ne: event.id }
+  };
+
+  const order = await Order.findOne(filter).select('_id totalAmount');
+  if (!order) {
+    return { handled: false };
+  }
+
+  const transaction = {
+    provider: providerName,
+    reference: event.intentId,
+    eventId: event.id,
+    amount: event.amount
+  };
+
+  if (SETTLING_EVENTS.includes(event.type) && !amountMatches(event.amount, order)) {
+    return {
+      handled: true,
+      amountMismatch: true,
+      order: await Order.findOneAndUpdate(
+        { _id: order._id, ...filter },
+        { $push: { transactions: { type: 'failure', status: 'amount_mismatch', ...transaction } } },
+        { new: true }
+      )
+    };
+  }
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      return { handled: true, order: await markOrderPaid(order._id, transaction, filter) };
+
+    // Late or out-of-order events must never downgrade a payment that has moved on
+    case 'payment.authorized':
+      return settleStatus(order._id, filter, ['unpaid', 'requires_payment', 'failed'], 'authorized',
+        { type: 'authorization', status: 'succeeded', ...transaction });
+
+    case 'payment.failed':
+      return settleStatus(order._id, filter, ['unpaid', 'requires_payment', 'failed', 'authorized'], 'failed',
+        { type: 'failure', status: 'failed', ...transaction });
+
+    default:
+      return { handled: false };
+  }
+};
+
+module.exports = { markOrderPaid, applyPaymentEvent };
@@ -0,0 +1,31 @@
+const mockProvider = require('./mockProvider');
+
+/**
+ * A payment provider implements:
+ *   name                                   - identifier stored on orders
+ *   signatureHeader                        - request header carrying the webhook signature
+ *   createIntent({ amount, currency, orderId }) -> { id, clientSecret, status, amount, currency }
+ *   capture(intentId, amount)              -> { id, intentId, status, amount }
+ *   refund(intentId, amount)               -> { id, intentId, status, amount }
+ *   verifyWebhookSignature(rawBody, signature) -> boolean
+ *   parseEvent(rawBody)                    -> { id, type, intentId, amount }
+ */
+const providers = {};
+
+// Anyone who knows the mock webhook secret can mark orders paid, so it never runs in production
+if (process.env.NODE_ENV !== 'production') {
+  providers[mockProvider.name] = mockProvider;
+}
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Look up a provider by name, defaulting to PAYMENT_PROVIDER or the mock gateway outside production
+ * @param {string} [name] - Provider name
+ * @returns {Object|null} Provider, or null if none is registered under that name
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER || mockProvider.name) => providers[name] || null;
+
+module.exports = { getProvider, registerProvider };
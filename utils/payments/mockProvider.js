@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const webhookSecret = () => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not defined in environment variables');
+  }
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const computeSignature = (timestamp, payload) => crypto
+  .createHmac('sha256', webhookSecret())
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+/**
+ * Offline payment provider. Every call succeeds immediately; webhooks are signed with
+ * MOCK_PAYMENT_WEBHOOK_SECRET using the same "t=<ts>,v1=<hmac>" scheme real gateways use.
+ */
+const mockProvider = {
+  name: 'mock',
+  signatureHeader: SIGNATURE_HEADER,
+
+  async createIntent({ amount, currency, orderId }) {
+    return {
+      id: randomId('pi'),
+      clientSecret: randomId('secret'),
+      status: 'requires_payment',
+      amount,
+      currency,
+      metadata: { orderId: String(orderId) }
+    };
+  },
+
+  async capture(intentId, amount) {
+    return { id: randomId('ch'), intentId, status: 'succeeded', amount };
+  },
+
+  async refund(intentId, amount) {
+    return { id: randomId('re'), intentId, status: 'succeeded', amount };
+  },
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody || !signature) return false;
+
+    const parts = Object.fromEntries(
+      String(signature).split(',').map(part => part.split('=').map(value => value.trim()))
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = Buffer.from(computeSignature(timestamp, rawBody.toString()));
+    const received = Buffer.from(parts.v1);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  // Normalise the gateway payload to { id, type, intentId, amount }
+  parseEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString());
+
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data && event.data.intentId,
+      amount: event.data && event.data.amount
+    };
+  },
+
+  /**
+   * Build a signed webhook request for local testing
+   * @param {string} type - payment.succeeded, payment.failed or refund.succeeded
+   * @param {Object} data - Event data, at least { intentId }
+   * @returns {{ body: string, signature: string }}
+   */
+  createSignedEvent(type, data) {
+    const body = JSON.stringify({ id: randomId('evt'), type, data });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return { body, signature: `t=${timestamp},v1=${computeSignature(timestamp, body)}` };
+  }
+};
+
+module.exports = mockProvider;
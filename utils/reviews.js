@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+/**
+ * Most recent delivered order of the user that contains the product
+ * @returns {Promise<Order|null>} null when the user is not a verified buyer
+ */
+const findVerifiedPurchase = (userId, productId) => Order.findOne({
+  user: userId,
+  status: 'delivered',
+  'items.product': productId
+})
+  .select('_id')
+  .sort({ createdAt: -1 });
+
+/**
+ * Star counts and average over the visible reviews of a product
+ * @returns {Promise<{ average: number, count: number, distribution: Object }>}
+ */
+const ratingSummary = async (productId) => {
+  const groups = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'visible' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach(group => { distribution[group._id] = group.count; });
+
+  const count = groups.reduce((sum, group) => sum + group.count, 0);
+  const total = groups.reduce((sum, group) => sum + group._id * group.count, 0);
+
+  return { average: count ? Math.round((total / count) * 100) / 100 : 0, count, distribution };
+};
+
+// Recompute the denormalized rating on the product after any review change
+const refreshProductRating = async (productId) => {
+  const { average, count } = await ratingSummary(productId);
+
+  await Product.updateOne(
+    { _id: productId },
+    { ratingAverage: average, ratingCount: count }
+  );
+
+  return { average, count };
+};
+
+module.exports = { findVerifiedPurchase, ratingSummary, refreshProductRating };
@@ -0,0 +1,75 @@
+const ShippingRule = require('../models/ShippingRule');
+const { DEFAULT_SHIPPING_RULES } = require('../config/shipping');
+const { roundMoney } = require('./money');
+
+const inRange = (value, min, max) => (
+  (min === undefined || min === null || value >= min) &&
+  (max === undefined || max === null || value <= max)
+);
+
+const matchesRule = (rule, { country, zipCode, subtotal, weight }) => (
+  (rule.countries.length === 0 || rule.countries.includes(country)) &&
+  (rule.zipPrefixes.length === 0 || rule.zipPrefixes.some(prefix => zipCode.startsWith(prefix))) &&
+  inRange(weight, rule.minWeight, rule.maxWeight) &&
+  inRange(subtotal, rule.minOrderValue, rule.maxOrderValue)
+);
+
+// Zip specific beats country specific beats worldwide
+const specificity = (rule) => (rule.zipPrefixes.length > 0 ? 2 : 0) + (rule.countries.length > 0 ? 1 : 0);
+
+/**
+ * Work out the available delivery options for a destination and cart
+ * @param {Object} params
+ * @param {Address} params.address - Destination address
+ * @param {number} params.subtotal - Cart value
+ * @param {number} params.weight - Total cart weight in kg
+ * @returns {Promise<Object[]>} One option per deliveryType that has a matching rule
+ */
+const quoteShipping = async ({ address, subtotal, weight }) => {
+  let rules = await ShippingRule.find({ isActive: true }).lean();
+  if (rules.length === 0) {
+    rules = DEFAULT_SHIPPING_RULES;
+  }
+
+  const context = {
+    country: String(address.country).trim().toUpperCase(),
+    zipCode: String(address.zipCode).replace(/\s/g, '').toUpperCase(),
+    subtotal,
+    weight
+  };
+
+  const best = {};
+  rules
+    .filter(rule => matchesRule(rule, context))
+    .forEach(rule => {
+      const current = best[rule.deliveryType];
+      if (
+        !current ||
+        (rule.priority || 0) > (current.priority || 0) ||
+        ((rule.priority || 0) === (current.priority || 0) && specificity(rule) > specificity(current))
+      ) {
+        best[rule.deliveryType] = rule;
+      }
+    });
+
+  return ['standard', 'express', 'overnight']
+    .filter(deliveryType => best[deliveryType])
+    .map(deliveryType => {
+      const rule = best[deliveryType];
+      const freeShipping = rule.freeShippingThreshold !== undefined &&
+        rule.freeShippingThreshold !== null &&
+        subtotal >= rule.freeShippingThreshold;
+
+      return {
+        deliveryType,
+        name: rule.name,
+        cost: freeShipping ? 0 : roundMoney(rule.baseRate + (rule.perKgRate || 0) * weight),
+        freeShipping,
+        ...(rule.freeShippingThreshold !== undefined && { freeShippingThreshold: rule.freeShippingThreshold }),
+        estimatedDays: rule.estimatedDays,
+        ...(rule._id && { rule: rule._id })
+      };
+    });
+};
+
+module.exports = { quoteShipping };
@@ -0,0 +1,85 @@
+const TaxRate = require('../models/TaxRate');
+const { roundMoney } = require('./money');
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Region and category specific rates beat country-wide ones
+const specificity = (rate) => (rate.category ? 2 : 0) + (rate.region ? 1 : 0);
+
+const pickRate = (rates, { region, category }) => rates
+  .filter(rate => (!rate.region || sameText(rate.region, region)) &&
+    (!rate.category || sameText(rate.category, category)))
+  .sort((a, b) => specificity(b) - specificity(a))[0];
+
+const taxFor = (amount, rate) => (rate.mode === 'inclusive'
+  ? amount - amount / (1 + rate.rate / 100)
+  : amount * rate.rate / 100);
+
+/**
+ * Calculate tax for an order destination. Each line is taxed by the most specific matching rate.
+ * @param {Object} params
+ * @param {Object[]} params.lines - Priced cart lines from buildCartLines
+ * @param {Address} params.address - Shipping address
+ * @param {number} [params.shippingCost=0] - Shipping charged to the customer
+ * @param {Map<string, number>} [params.discounts] - Coupon discount per cart item id
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<{ taxLines: Object[], taxAmount: number, exclusiveTax: number }>}
+ *   exclusiveTax is the part that must be added on top of the prices
+ */
+const calculateTax = async ({ lines, address, shippingCost = 0, discounts = new Map(), session = null }) => {
+  const rates = await TaxRate.find({
+    country: String(address.country).trim().toUpperCase(),
+    isActive: true
+  }).session(session).lean();
+
+  const grouped = new Map();
+  const addTax = (rate, taxableAmount) => {
+    if (!rate || taxableAmount <= 0) return;
+
+    const key = String(rate._id);
+    const entry = grouped.get(key) || {
+      taxRate: rate._id,
+      name: rate.name,
+      rate: rate.rate,
+      mode: rate.mode,
+      country: rate.country,
+      ...(rate.region && { region: rate.region }),
+      ...(rate.category && { category: rate.category }),
+      taxableAmount: 0,
+      amount: 0
+    };
+
+    entry.taxableAmount += taxableAmount;
+    entry.amount += taxFor(taxableAmount, rate);
+    grouped.set(key, entry);
+  };
+
+  lines.forEach(line => {
+    const taxable = line.price * line.quantity - (discounts.get(String(line.item)) || 0);
+    addTax(pickRate(rates, { region: address.region, category: line.category }), taxable);
+  });
+
+  if (shippingCost > 0) {
+    const shippingRate = pickRate(
+      rates.filter(rate => rate.appliesToShipping && !rate.category),
+      { region: address.region }
+    );
+    addTax(shippingRate, shippingCost);
+  }
+
+  const taxLines = [...grouped.values()].map(entry => ({
+    ...entry,
+    taxableAmount: roundMoney(entry.taxableAmount),
+    amount: roundMoney(entry.amount)
+  }));
+
+  return {
+    taxLines,
+    taxAmount: roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+    exclusiveTax: roundMoney(taxLines
+      .filter(line => line.mode === 'exclusive')
+      .reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+module.exports = { calculateTax };
@@ -0,0 +1,20 @@
+/**
+ * Escape a string so it matches literally inside a RegExp
+ * @param {string} value - Untrusted user input
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Strip $text operators (phrases and negations) so input is treated as plain terms
+ * @param {string} value - Untrusted user input
+ * @returns {string} Search string safe to pass to $text
+ */
+const toTextSearch = (value) => String(value)
+  .replace(/["\\]/g, ' ')
+  .split(/\s+/)
+  .map(term => term.replace(/^-+/, ''))
+  .filter(Boolean)
+  .join(' ');
+
+module.exports = { escapeRegex, toTextSearch };
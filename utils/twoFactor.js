@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 
+const RECOVERY_CODE_COUNT = 10;
+
 const generateSecret = (email) => {
   return speakeasy.generateSecret({
     name: `EXAM (${email})`,
@@ -8,13 +11,25 @@ const generateSecret = (email) => {
   });
 };
 
-const verifyToken = (secret, token) => {
-  return speakeasy.totp.verify({
+const TOTP_STEP_SECONDS = 30;
+
+/**
+ * Verify a TOTP code and report which time step it belongs to, so callers can refuse
+ * to accept the same step twice
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @returns {number|null} Matched time step, or null when the code is invalid
+ */
+const verifyTokenStep = (secret, token) => {
+  const result = speakeasy.totp.verifyDelta({
     secret: secret,
     encoding: 'base32',
     token: token,
     window: 2
   });
+
+  if (!result) return null;
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
 };
 
 const generateQRCode = async (otpauthUrl) => {
@@ -25,5 +40,35 @@ const generateQRCode = async (otpauthUrl) => {
   }
 };
 
-module.exports = { generateSecret, verifyToken, generateQRCode };
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Plain recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of single-use recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes for the user and hashes for the database
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
 
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  generateSecret,
+  verifyTokenStep,
+  generateQRCode,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,89 @@
+const WISHLIST_LISTS = ['wishlist', 'saved'];
+
+/**
+ * Current price and stock for a product, or one of its variants when given.
+ * Bookmarks without a variant report the base price and the total stock.
+ * @returns {{ sku: string, price: number, stock: number }|null} null when it can no longer be bought
+ */
+const currentOffer = (product, variantId) => {
+  if (!product || product.isArchived) return null;
+
+  if (!variantId && product.variants.length > 0) {
+    return { sku: product.sku, price: product.price, stock: product.stock };
+  }
+
+  const resolved = product.resolveVariant(variantId);
+  if (!resolved) return null;
+
+  return { sku: resolved.sku, price: resolved.price, stock: resolved.stock };
+};
+
+/**
+ * Add a product to a list, or move an existing entry for the same product and variant.
+ * The saved price and stock are refreshed so flags compare against this moment.
+ * @param {Wishlist} wishlist
+ * @param {Product} product
+ * @param {Object} options - { variantId, list, quantity }
+ * @returns {Object} The wishlist entry
+ */
+const saveItem = (wishlist, product, { variantId = null, list = 'wishlist', quantity = 1 } = {}) => {
+  const offer = currentOffer(product, variantId);
+  const variantKey = variantId ? variantId.toString() : '';
+
+  let entry = wishlist.items.find(
+    item => item.product.toString() === product._id.toString() &&
+      (item.variant ? item.variant.toString() : '') === variantKey
+  );
+
+  if (!entry) {
+    wishlist.items.push({ product: product._id, ...(variantId && { variant: variantId }) });
+    entry = wishlist.items[wishlist.items.length - 1];
+  }
+
+  entry.list = list;
+  entry.quantity = quantity;
+  entry.priceAtSave = offer ? offer.price : undefined;
+  entry.inStockAtSave = offer ? offer.stock > 0 : false;
+  entry.addedAt = new Date();
+
+  return entry;
+};
+
+/**
+ * Describe the entries of a wishlist with items.product populated
+ * @param {Wishlist} wishlist
+ * @param {string} [list] - Only return entries of this list
+ * @returns {Object[]}
+ */
+const formatWishlist = (wishlist, list) => wishlist.items
+  .filter(item => !list || item.list === list)
+  .map(item => {
+    const product = item.product;
+    const offer = currentOffer(product, item.variant);
+    const inStock = Boolean(offer && offer.stock > 0);
+
+    return {
+      _id: item._id,
+      list: item.list,
+      product: product ? {
+        _id: product._id,
+        name: product.name,
+        image: product.image,
+        category: product.category
+      } : null,
+      variant: item.variant,
+      quantity: item.quantity,
+      addedAt: item.addedAt,
+      available: Boolean(offer),
+      sku: offer ? offer.sku : undefined,
+      price: offer ? offer.price : null,
+      stock: offer ? offer.stock : 0,
+      inStock,
+      priceAtSave: item.priceAtSave,
+      priceDropped: Boolean(offer) && item.priceAtSave !== undefined && item.priceAtSave !== null &&
+        offer.price < item.priceAtSave,
+      backInStock: inStock && item.inStockAtSave === false
+    };
+  });
+
+module.exports = { WISHLIST_LISTS, currentOffer, saveItem, formatWishlist };